@@ -0,0 +1,216 @@
+/**
+ * Asset Scanner Module
+ * Finds file references in page HTML by walking its tags, instead of one
+ * regex per attribute, so every place a browser loads a file from is seen:
+ *
+ *   src, href, poster, background, data      any tag (<img>, <audio>, <source>,
+ *                                            <video poster>, <a href> ...)
+ *   srcset, data-srcset                      each candidate URL
+ *   data-* holding a file path               lazy-load attributes (data-src, data-bg ...)
+ *   url(...)                                 in style="" and <style> blocks
+ *                                            (@font-face, background ...)
+ *
+ * Comments and <script>/<textarea> bodies are skipped. Every reference keeps
+ * the position of its URL text, so rewriting replaces exactly what was
+ * scanned and leaves the rest of the markup byte for byte.
+ */
+
+const URL_ATTRIBUTES = ['src', 'href', 'poster', 'background', 'data'];
+const SRCSET_ATTRIBUTES = ['srcset', 'data-srcset'];
+
+// Elements whose contents are not markup
+const RAW_TEXT_TAGS = ['script', 'style', 'textarea'];
+
+// A data-* value counts as a path only with a media/font extension, so values
+// like data-mail="a@b.com" or data-version="v1.2b" are left alone
+const DATA_PATH_EXTENSIONS = [
+    'png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'avif', 'svg', 'ico',
+    'mp3', 'wav', 'ogg', 'oga', 'm4a',
+    'mp4', 'webm', 'mov',
+    'woff', 'woff2', 'ttf', 'otf'
+];
+const DATA_PATH_REGEX = new RegExp(`^[^\\s()<>'"]+\\.(?:${DATA_PATH_EXTENSIONS.join('|')})(?:[?#][^\\s]*)?$`, 'i');
+
+const TAG_OPEN_REGEX = /<([a-zA-Z][\w:-]*)/y;
+// Quotes may be entity-encoded inside style="" attributes
+const CSS_URL_REGEX = /url\(\s*(["']|&quot;|&#0?39;|&apos;)?([^"')]*?)\1\s*\)/gi;
+// URL (trailing commas are separators, not part of it), then an optional descriptor
+const SRCSET_CANDIDATE_REGEX = /\s*([^\s,](?:\S*[^\s,])?)(?:,+|\s+[^,]*(?:,|$)|$)/g;
+
+/**
+ * Whether a reference points at a local file (not remote, data:, javascript:,
+ * an anchor or an unresolved template variable)
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isLocalRef(url) {
+    return url !== '' && !/^(?:[a-z][a-z0-9+.-]*:|\/\/|#|\{\{)/i.test(url);
+}
+
+/**
+ * The file part of a reference (query and fragment removed)
+ * @param {string} url
+ * @returns {string}
+ */
+function refPath(url) {
+    return url.replace(/[?#].*$/, '');
+}
+
+/**
+ * Collect url(...) references in CSS text
+ * @param {string} css
+ * @param {number} offset - Position of the CSS within the whole HTML
+ * @param {string} source - Reported as the reference's source ('style' or 'css')
+ * @param {object[]} refs - Output
+ */
+function scanCss(css, offset, source, refs) {
+    // Blank out comments without shifting positions
+    const text = css.replace(/\/\*[\s\S]*?\*\//g, m => ' '.repeat(m.length));
+    CSS_URL_REGEX.lastIndex = 0;
+    let match;
+    while ((match = CSS_URL_REGEX.exec(text)) !== null) {
+        const url = match[2].trim();
+        if (!url) continue;
+        const start = offset + match.index + match[0].indexOf(url, 4 + (match[1] || '').length);
+        refs.push({ url, start, end: start + url.length, source });
+    }
+}
+
+/**
+ * Collect the candidate URLs of a srcset value
+ * @param {string} value
+ * @param {number} offset - Position of the value within the whole HTML
+ * @param {string} source - Attribute name
+ * @param {object[]} refs - Output
+ */
+function scanSrcset(value, offset, source, refs) {
+    SRCSET_CANDIDATE_REGEX.lastIndex = 0;
+    let match;
+    while ((match = SRCSET_CANDIDATE_REGEX.exec(value)) !== null) {
+        if (match[0] === '') { SRCSET_CANDIDATE_REGEX.lastIndex++; continue; }
+        const start = offset + match.index + match[0].indexOf(match[1]);
+        refs.push({ url: match[1], start, end: start + match[1].length, source });
+    }
+}
+
+/**
+ * Parse one tag's attributes
+ * @param {string} html
+ * @param {number} pos - Position right after the tag name
+ * @returns {{ attrs: { name: string, value: string, start: number }[], end: number }}
+ *   start: position of the value text; end: position after ">"
+ */
+function parseAttributes(html, pos) {
+    const attrs = [];
+    while (pos < html.length) {
+        while (pos < html.length && /[\s/]/.test(html[pos])) pos++;
+        if (pos >= html.length) break;
+        if (html[pos] === '>') return { attrs, end: pos + 1 };
+
+        const nameStart = pos;
+        while (pos < html.length && !/[\s/>=]/.test(html[pos])) pos++;
+        const name = html.slice(nameStart, pos).toLowerCase();
+        while (pos < html.length && /\s/.test(html[pos])) pos++;
+        if (html[pos] !== '=') {
+            attrs.push({ name, value: '', start: pos });
+            continue;
+        }
+        pos++;
+        while (pos < html.length && /\s/.test(html[pos])) pos++;
+
+        const quote = html[pos];
+        if (quote === '"' || quote === "'") {
+            const close = html.indexOf(quote, pos + 1);
+            const valueEnd = close < 0 ? html.length : close;
+            attrs.push({ name, value: html.slice(pos + 1, valueEnd), start: pos + 1 });
+            pos = valueEnd + 1;
+        } else {
+            const valueStart = pos;
+            while (pos < html.length && !/[\s>]/.test(html[pos])) pos++;
+            attrs.push({ name, value: html.slice(valueStart, pos), start: valueStart });
+        }
+    }
+    return { attrs, end: html.length };
+}
+
+/**
+ * Find every file reference in HTML
+ * @param {string} html
+ * @returns {{ url: string, start: number, end: number, source: string }[]}
+ *   In document order. url is the text as written; start/end delimit it in
+ *   html; source is the attribute name, 'style' (style attribute) or 'css'
+ *   (<style> block).
+ */
+function scanAssetRefs(html) {
+    const refs = [];
+    let pos = 0;
+
+    while (pos < html.length) {
+        const lt = html.indexOf('<', pos);
+        if (lt < 0) break;
+
+        if (html.startsWith('<!--', lt)) {
+            const close = html.indexOf('-->', lt + 4);
+            pos = close < 0 ? html.length : close + 3;
+            continue;
+        }
+
+        TAG_OPEN_REGEX.lastIndex = lt;
+        const open = TAG_OPEN_REGEX.exec(html);
+        if (!open) {
+            pos = lt + 1;
+            continue;
+        }
+        const tag = open[1].toLowerCase();
+        const { attrs, end } = parseAttributes(html, lt + open[0].length);
+
+        for (const { name, value, start } of attrs) {
+            if (URL_ATTRIBUTES.includes(name) || (name.startsWith('data-') && DATA_PATH_REGEX.test(value.trim()))) {
+                const url = value.trim();
+                if (url) {
+                    const urlStart = start + value.indexOf(url);
+                    refs.push({ url, start: urlStart, end: urlStart + url.length, source: name });
+                }
+            } else if (SRCSET_ATTRIBUTES.includes(name)) {
+                scanSrcset(value, start, name, refs);
+            } else if (name === 'style') {
+                scanCss(value, start, 'style', refs);
+            }
+        }
+        pos = end;
+
+        if (RAW_TEXT_TAGS.includes(tag)) {
+            const closeMatch = new RegExp(`</${tag}[\\s>]`, 'i').exec(html.slice(pos));
+            const contentEnd = closeMatch ? pos + closeMatch.index : html.length;
+            if (tag === 'style') scanCss(html.slice(pos, contentEnd), pos, 'css', refs);
+            pos = contentEnd;
+        }
+    }
+
+    return refs.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Rewrite file references in HTML
+ * @param {string} html
+ * @param {Function} replace - (url, ref) => new URL, or null to keep it
+ * @returns {string}
+ */
+function rewriteAssetRefs(html, replace) {
+    let result = '';
+    let last = 0;
+    for (const ref of scanAssetRefs(html)) {
+        const replacement = replace(ref.url, ref);
+        if (replacement === null || replacement === undefined || replacement === ref.url) continue;
+        result += html.slice(last, ref.start) + replacement;
+        last = ref.end;
+    }
+    return result + html.slice(last);
+}
+
+module.exports = {
+    isLocalRef,
+    refPath,
+    scanAssetRefs,
+    rewriteAssetRefs
+};
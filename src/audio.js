@@ -12,7 +12,8 @@
  *   5. The inserted node is removed so cipher's later HTML-mode setContent
  *      does not clash.
  *
- * Site constraints (from the popup): MP3, WAV; <= 5 MB.
+ * Site constraints (from the popup): MP3, WAV; <= 5 MB. Other formats and
+ * oversized files are transcoded first (see audioprocess.js).
  */
 
 const fs = require('fs');
@@ -28,6 +29,191 @@ const AUDIO_CONSTRAINTS = {
     maxSizeMB: 5
 };
 
+// MPEG audio frame header tables, indexed [version][layer][bitrate index]
+// (version: 1 = MPEG-1, 2 = MPEG-2/2.5; layer: 1..3), kbps
+const MPEG_BITRATES = {
+    1: {
+        1: [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+        2: [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        3: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320]
+    },
+    2: {
+        1: [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+        2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        3: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+    }
+};
+const MPEG_SAMPLE_RATES = {
+    '1': [44100, 48000, 32000],
+    '2': [22050, 24000, 16000],
+    '2.5': [11025, 12000, 8000]
+};
+
+/**
+ * Parse an MPEG audio frame header
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @returns {object|null} Header fields and frame length, or null if not a frame
+ */
+function parseMpegFrameHeader(buf, offset) {
+    if (offset + 4 > buf.length || buf[offset] !== 0xFF || (buf[offset + 1] & 0xE0) !== 0xE0) return null;
+    const versionBits = (buf[offset + 1] >> 3) & 3;
+    const layerBits = (buf[offset + 1] >> 1) & 3;
+    const bitrateIndex = buf[offset + 2] >> 4;
+    const sampleRateIndex = (buf[offset + 2] >> 2) & 3;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const version = versionBits === 3 ? '1' : versionBits === 2 ? '2' : '2.5';
+    const layer = 4 - layerBits;
+    const bitrate = MPEG_BITRATES[version === '1' ? 1 : 2][layer][bitrateIndex];
+    const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+    const padding = (buf[offset + 2] >> 1) & 1;
+    const channels = (buf[offset + 3] >> 6) === 3 ? 1 : 2;
+    const samplesPerFrame = layer === 1 ? 384 : layer === 3 && version !== '1' ? 576 : 1152;
+    const frameLength = layer === 1
+        ? (Math.floor(12 * bitrate * 1000 / sampleRate) + padding) * 4
+        : Math.floor(samplesPerFrame / 8 * bitrate * 1000 / sampleRate) + padding;
+
+    return { version, layer, bitrate, sampleRate, channels, samplesPerFrame, frameLength };
+}
+
+/**
+ * Read duration and bitrate from an MP3 (ID3v2 skipped, Xing/Info/VBRI for VBR)
+ * @param {Buffer} buf
+ * @returns {object|null}
+ */
+function readMp3Info(buf) {
+    let start = 0;
+    if (buf.length >= 10 && buf.toString('latin1', 0, 3) === 'ID3') {
+        const tagSize = (buf[6] << 21) | (buf[7] << 14) | (buf[8] << 7) | buf[9];
+        start = 10 + tagSize + (buf[5] & 0x10 ? 10 : 0);
+    }
+    const end = buf.length >= 128 && buf.toString('latin1', buf.length - 128, buf.length - 125) === 'TAG'
+        ? buf.length - 128 : buf.length;
+
+    // First frame whose successor is also a frame (avoids false syncs in junk data)
+    let header = null;
+    let offset = start;
+    for (const limit = Math.min(end, start + 64 * 1024); offset < limit; offset++) {
+        header = parseMpegFrameHeader(buf, offset);
+        if (header && (offset + header.frameLength >= end || parseMpegFrameHeader(buf, offset + header.frameLength))) break;
+        header = null;
+    }
+    if (!header) return null;
+
+    const info = {
+        format: 'mp3',
+        sampleRate: header.sampleRate,
+        channels: header.channels,
+        bitrate: header.bitrate,
+        duration: (end - offset) * 8 / (header.bitrate * 1000),
+        vbr: false
+    };
+
+    // VBR files carry the frame count (and byte count) in their first frame
+    const sideInfo = header.version === '1' ? (header.channels === 1 ? 17 : 32) : (header.channels === 1 ? 9 : 17);
+    const xing = offset + 4 + sideInfo;
+    // A tag whose fields run past the end of the file means the file was cut short
+    let frames = null;
+    let bytes = null;
+    const tag = buf.toString('latin1', xing, xing + 4);
+    if (tag === 'Xing' || tag === 'Info') {
+        if (xing + 8 > buf.length) {
+            info.truncated = true;
+            return info;
+        }
+        const flags = buf.readUInt32BE(xing + 4);
+        if (xing + 8 + ((flags & 1) + (flags & 2 ? 1 : 0)) * 4 > buf.length) {
+            info.truncated = true;
+            return info;
+        }
+        let field = xing + 8;
+        if (flags & 1) { frames = buf.readUInt32BE(field); field += 4; }
+        if (flags & 2) bytes = buf.readUInt32BE(field);
+        info.vbr = tag === 'Xing';
+    } else if (buf.toString('latin1', offset + 36, offset + 40) === 'VBRI') {
+        if (offset + 54 > buf.length) {
+            info.truncated = true;
+            return info;
+        }
+        bytes = buf.readUInt32BE(offset + 46);
+        frames = buf.readUInt32BE(offset + 50);
+        info.vbr = true;
+    }
+    if (frames) {
+        info.duration = frames * header.samplesPerFrame / header.sampleRate;
+        const audioBytes = bytes || end - offset;
+        info.bitrate = Math.round(audioBytes * 8 / info.duration / 1000);
+    }
+    info.truncated = !frames && offset + header.frameLength > end;
+    return info;
+}
+
+/**
+ * Read duration and bitrate from a WAV (RIFF fmt/data chunks)
+ * @param {Buffer} buf
+ * @returns {object|null}
+ */
+function readWavInfo(buf) {
+    let fmt = null;
+    let dataSize = null;
+    let offset = 12;
+    while (offset + 8 <= buf.length) {
+        const id = buf.toString('latin1', offset, offset + 4);
+        const size = buf.readUInt32LE(offset + 4);
+        if (id === 'fmt ' && offset + 24 <= buf.length) {
+            fmt = {
+                channels: buf.readUInt16LE(offset + 10),
+                sampleRate: buf.readUInt32LE(offset + 12),
+                byteRate: buf.readUInt32LE(offset + 16)
+            };
+        } else if (id === 'data') {
+            dataSize = size;
+            break;
+        }
+        offset += 8 + size + (size & 1);
+    }
+    if (!fmt || dataSize === null || !fmt.byteRate) return null;
+
+    const available = Math.min(dataSize, buf.length - offset - 8);
+    return {
+        format: 'wav',
+        sampleRate: fmt.sampleRate,
+        channels: fmt.channels,
+        bitrate: Math.round(fmt.byteRate * 8 / 1000),
+        duration: available / fmt.byteRate,
+        vbr: false,
+        truncated: available < dataSize
+    };
+}
+
+/**
+ * Read an audio file's real format, duration and bitrate from its headers
+ * @param {string} filePath
+ * @returns {{ format: 'mp3'|'wav', duration: number, bitrate: number, sampleRate: number,
+ *   channels: number, vbr: boolean, truncated: boolean }|null} null if not an MP3/WAV
+ */
+function readAudioInfo(filePath) {
+    const buf = fs.readFileSync(filePath);
+    if (buf.length >= 12 && buf.toString('latin1', 0, 4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WAVE') {
+        return readWavInfo(buf);
+    }
+    return readMp3Info(buf);
+}
+
+/**
+ * Describe audio info for logs, e.g. "3:25, 128kbps"
+ * @param {object} info - Result of readAudioInfo
+ * @returns {string}
+ */
+function formatAudioInfo(info) {
+    const seconds = Math.round(info.duration);
+    const length = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    return `${length}, ${info.bitrate}kbps${info.vbr ? ' VBR' : ''}`;
+}
+
 function validateAudio(filePath) {
     if (!fs.existsSync(filePath)) {
         return { valid: false, error: `파일을 찾을 수 없습니다: ${filePath}` };
@@ -39,6 +225,9 @@ function validateAudio(filePath) {
             error: `지원하지 않는 오디오 형식: ${ext} (허용: ${AUDIO_CONSTRAINTS.allowedFormats.join(', ')})`
         };
     }
+    if (!readAudioInfo(filePath)) {
+        return { valid: false, error: `오디오 헤더를 읽을 수 없습니다: ${path.basename(filePath)}` };
+    }
     const stats = fs.statSync(filePath);
     if (stats.size > AUDIO_CONSTRAINTS.maxSizeBytes) {
         const sizeMB = (stats.size / 1024 / 1024).toFixed(2);
@@ -303,6 +492,8 @@ async function uploadAudios(browser, page, audioPaths, audioCache = {}) {
 
 module.exports = {
     AUDIO_CONSTRAINTS,
+    readAudioInfo,
+    formatAudioInfo,
     validateAudio,
     uploadAudio,
     uploadAudios
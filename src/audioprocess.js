@@ -0,0 +1,231 @@
+/**
+ * Audio Processing Module
+ * Makes audio fit the site's formats and limits before upload (always on):
+ *
+ *   MP3/WAV within AUDIO_CONSTRAINTS.maxSizeBytes   uploaded as is
+ *   WAV over the limit                              transcoded to MP3
+ *   MP3 over the limit                              re-encoded at a lower bitrate
+ *   OGG/M4A (which the site rejects)                transcoded to MP3
+ *
+ * The MP3 bitrate is the highest step that fits the limit for the file's
+ * duration, capped at MAX_MP3_BITRATE (and below the source bitrate when
+ * re-encoding an MP3).
+ *
+ * Originals are never modified. Output goes to .cache/audio/ in the content
+ * folder, named by the source checksum, and is reused as long as the source
+ * doesn't change. Decoding and encoding are pure JS/WASM (audio-decode,
+ * lamejs), no system binaries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { AUDIO_CONSTRAINTS, readAudioInfo } = require('./audio');
+const { calculateChecksum } = require('./image');
+
+const AUDIO_CACHE_DIR = path.join('.cache', 'audio');
+
+// Formats the site doesn't accept; transcoded before upload
+const CONVERTED_AUDIO_EXTENSIONS = ['.ogg', '.oga', '.m4a'];
+
+// MPEG-1 Layer III bitrates tried from the top, kbps
+const MP3_BITRATES = [192, 160, 128, 112, 96, 80, 64, 48, 40, 32];
+const MAX_MP3_BITRATE = 192;
+
+// Sample rates MPEG audio can carry; anything else is resampled to 44.1 kHz
+const MP3_SAMPLE_RATES = [8000, 11025, 12000, 16000, 22050, 24000, 32000, 44100, 48000];
+
+// Headroom for frame padding and the encoder's last frames
+const SIZE_MARGIN = 0.97;
+
+const ENCODE_BLOCK = 1152;
+
+/**
+ * Load the decoder and encoder on first use (both are ES modules)
+ * @returns {Promise<{ decode: Function, Mp3Encoder: Function }>}
+ */
+async function loadCodecs() {
+    try {
+        const { default: decode } = await import('audio-decode');
+        const { Mp3Encoder } = await import('@breezystack/lamejs');
+        return { decode, Mp3Encoder };
+    } catch (e) {
+        throw new Error(`오디오 변환에 필요한 모듈을 불러올 수 없습니다. npm install을 실행해주세요. (${e.message})`);
+    }
+}
+
+/**
+ * Highest bitrate whose output fits the limit
+ * @param {number} duration - Seconds
+ * @param {number} ceiling - Upper bound, kbps
+ * @returns {number[]} Candidate bitrates, best first (empty if none fits)
+ */
+function fittingBitrates(duration, ceiling) {
+    const budget = AUDIO_CONSTRAINTS.maxSizeBytes * SIZE_MARGIN;
+    return MP3_BITRATES.filter(kbps => kbps <= ceiling && duration * kbps * 1000 / 8 <= budget);
+}
+
+/**
+ * Linear resample of one channel
+ * @param {Float32Array} samples
+ * @param {number} from - Source rate
+ * @param {number} to - Target rate
+ * @returns {Float32Array}
+ */
+function resample(samples, from, to) {
+    const length = Math.floor(samples.length * to / from);
+    const out = new Float32Array(length);
+    for (let i = 0; i < length; i++) {
+        const pos = i * from / to;
+        const base = Math.floor(pos);
+        const next = Math.min(base + 1, samples.length - 1);
+        out[i] = samples[base] + (samples[next] - samples[base]) * (pos - base);
+    }
+    return out;
+}
+
+/**
+ * Float samples to 16-bit PCM
+ * @param {Float32Array} samples
+ * @returns {Int16Array}
+ */
+function toInt16(samples) {
+    const out = new Int16Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const s = Math.max(-1, Math.min(1, samples[i]));
+        out[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+    }
+    return out;
+}
+
+/**
+ * Encode PCM to MP3
+ * @param {Function} Mp3Encoder
+ * @param {Int16Array[]} channels - One or two channels
+ * @param {number} sampleRate
+ * @param {number} kbps
+ * @returns {Buffer}
+ */
+function encodeMp3(Mp3Encoder, channels, sampleRate, kbps) {
+    const encoder = new Mp3Encoder(channels.length, sampleRate, kbps);
+    const [left, right] = channels;
+    const chunks = [];
+    for (let i = 0; i < left.length; i += ENCODE_BLOCK) {
+        const chunk = right
+            ? encoder.encodeBuffer(left.subarray(i, i + ENCODE_BLOCK), right.subarray(i, i + ENCODE_BLOCK))
+            : encoder.encodeBuffer(left.subarray(i, i + ENCODE_BLOCK));
+        if (chunk.length > 0) chunks.push(Buffer.from(chunk));
+    }
+    chunks.push(Buffer.from(encoder.flush()));
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Decode any supported audio file and encode it as an MP3 within the limit
+ * @param {string} filePath - Source audio
+ * @param {number} ceiling - Highest bitrate to use, kbps
+ * @returns {Promise<Buffer>}
+ * @throws {Error} If even the lowest bitrate is too large
+ */
+async function transcodeToFit(filePath, ceiling) {
+    const { decode, Mp3Encoder } = await loadCodecs();
+    const decoded = await decode(fs.readFileSync(filePath));
+    if (!decoded.channelData.length || !decoded.sampleRate) {
+        throw new Error('오디오를 디코딩할 수 없습니다');
+    }
+
+    let sampleRate = decoded.sampleRate;
+    // More than two channels: keep the front pair
+    let channels = decoded.channelData.slice(0, 2);
+    if (!MP3_SAMPLE_RATES.includes(sampleRate)) {
+        channels = channels.map(c => resample(c, sampleRate, 44100));
+        sampleRate = 44100;
+    }
+    const duration = channels[0].length / sampleRate;
+    const pcm = channels.map(toInt16);
+
+    for (const kbps of fittingBitrates(duration, ceiling)) {
+        const output = encodeMp3(Mp3Encoder, pcm, sampleRate, kbps);
+        if (output.length <= AUDIO_CONSTRAINTS.maxSizeBytes) return output;
+    }
+    const minutes = (duration / 60).toFixed(1);
+    throw new Error(`${minutes}분 길이는 ${AUDIO_CONSTRAINTS.maxSizeMB}MB 이하로 줄일 수 없습니다`);
+}
+
+/**
+ * What prepareAudio will do with a file, without doing it
+ * @param {string} filePath - Source audio
+ * @returns {{ action: 'none'|'convert'|'transcode'|'reencode', info: object|null, kbps: number|null }}
+ *   info: readAudioInfo result (MP3/WAV only); kbps: estimated output bitrate
+ */
+function planAudio(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (CONVERTED_AUDIO_EXTENSIONS.includes(ext)) {
+        return { action: 'convert', info: null, kbps: null };
+    }
+
+    const info = readAudioInfo(filePath);
+    if (fs.statSync(filePath).size <= AUDIO_CONSTRAINTS.maxSizeBytes) {
+        return { action: 'none', info, kbps: null };
+    }
+    const ceiling = info && info.format === 'mp3' ? Math.min(info.bitrate - 1, MAX_MP3_BITRATE) : MAX_MP3_BITRATE;
+    const [kbps = null] = info ? fittingBitrates(info.duration, ceiling) : [];
+    return { action: info && info.format === 'mp3' ? 'reencode' : 'transcode', info, kbps };
+}
+
+/**
+ * Check an audio file before upload: real format matches the extension, the
+ * data is complete, and oversized files can be brought under the limit.
+ * OGG/M4A are only decoded at upload time and aren't checked here.
+ * @param {string} filePath
+ * @returns {{ error: string|null, plan: object }} plan: result of planAudio
+ */
+function checkAudioFile(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const plan = planAudio(filePath);
+    if (plan.action === 'convert') return { error: null, plan };
+
+    const { info } = plan;
+    if (!info) {
+        return { error: 'MP3/WAV 오디오가 아니거나 알 수 없는 형식입니다', plan };
+    }
+    if (`.${info.format}` !== ext) {
+        return { error: `확장자(${ext})와 실제 형식(${info.format.toUpperCase()})이 다릅니다`, plan };
+    }
+    if (info.truncated) {
+        return { error: '파일이 잘렸거나 손상되었습니다', plan };
+    }
+    if (plan.action !== 'none' && !plan.kbps) {
+        const minutes = (info.duration / 60).toFixed(1);
+        return { error: `${minutes}분 길이는 ${AUDIO_CONSTRAINTS.maxSizeMB}MB 이하로 줄일 수 없습니다`, plan };
+    }
+    return { error: null, plan };
+}
+
+/**
+ * Path to upload for an audio file: the original when the site accepts it as
+ * is, otherwise an MP3 in the cache
+ * @param {string} filePath - Source audio
+ * @param {string} cacheDir - Absolute cache directory
+ * @returns {Promise<string>}
+ */
+async function prepareAudio(filePath, cacheDir) {
+    const { action, info } = planAudio(filePath);
+    if (action === 'none') return filePath;
+
+    const outputPath = path.join(cacheDir, `${calculateChecksum(filePath)}.mp3`);
+    if (!fs.existsSync(outputPath)) {
+        const ceiling = action === 'reencode' ? Math.min(info.bitrate - 1, MAX_MP3_BITRATE) : MAX_MP3_BITRATE;
+        const output = await transcodeToFit(filePath, ceiling);
+        fs.mkdirSync(cacheDir, { recursive: true });
+        fs.writeFileSync(outputPath, output);
+    }
+    return outputPath;
+}
+
+module.exports = {
+    AUDIO_CACHE_DIR,
+    CONVERTED_AUDIO_EXTENSIONS,
+    planAudio,
+    checkAudioFile,
+    prepareAudio
+};
@@ -0,0 +1,83 @@
+/**
+ * Front Matter Module
+ * Parses single-file pages ({name}.page.html / {name}.page.md): the page JSON
+ * fields in a front-matter block, followed by the page body.
+ *
+ *   ---
+ *   title: 시작
+ *   answers:
+ *     - answer: 다음
+ *       next: page/branch
+ *   ---
+ *   <p>본문</p>
+ *
+ * The block is YAML, or JSON when it starts with "{". Text fields (title,
+ * answers[].answer, answers[].aliases) are always strings: YAML would read
+ * `answer: 0123` as the number 123, so those take the value as written.
+ */
+
+const yaml = require('js-yaml');
+
+const FRONT_MATTER_REGEX = /^﻿?---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+/**
+ * Replace non-string text fields with their text: from `raw` (the block read
+ * with every scalar as a string) when there is one, else String(value)
+ * @param {object} data - Parsed front matter (modified in place)
+ * @param {object|null} raw - Same block parsed with FAILSAFE_SCHEMA, or null for JSON
+ */
+function keepTextFields(data, raw) {
+    const text = (value, rawValue) => {
+        if (typeof value === 'string' || value === null || typeof value === 'object') return value;
+        return typeof rawValue === 'string' ? rawValue : String(value);
+    };
+
+    data.title = text(data.title, raw && raw.title);
+    if (!Array.isArray(data.answers)) return;
+    data.answers.forEach((ans, i) => {
+        if (!ans || typeof ans !== 'object') return;
+        const rawAns = raw && Array.isArray(raw.answers) && raw.answers[i] && typeof raw.answers[i] === 'object' ? raw.answers[i] : {};
+        if (ans.answer !== undefined) ans.answer = text(ans.answer, rawAns.answer);
+        if (Array.isArray(ans.aliases)) {
+            ans.aliases = ans.aliases.map((alias, j) => text(alias, Array.isArray(rawAns.aliases) ? rawAns.aliases[j] : undefined));
+        }
+    });
+}
+
+/**
+ * Split a single-file page into its data and body
+ * @param {string} text - File contents
+ * @returns {{ data: object, body: string }}
+ * @throws {Error} If the front matter is missing, unparsable or not an object
+ */
+function parseFrontMatter(text) {
+    const match = text.match(FRONT_MATTER_REGEX);
+    if (!match) {
+        throw new Error('front matter가 없습니다. 파일 첫 줄이 "---"이어야 합니다.');
+    }
+
+    const source = match[1];
+    const isJson = source.trim().startsWith('{');
+    let data;
+    let raw = null;
+    try {
+        if (isJson) {
+            data = JSON.parse(source);
+        } else {
+            data = yaml.load(source);
+            raw = yaml.load(source, { schema: yaml.FAILSAFE_SCHEMA });
+        }
+    } catch (e) {
+        throw new Error(`front matter를 읽을 수 없습니다: ${e.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('front matter는 객체(키: 값)여야 합니다.');
+    }
+    keepTextFields(data, raw);
+
+    return { data, body: text.slice(match[0].length) };
+}
+
+module.exports = {
+    parseFrontMatter
+};
@@ -0,0 +1,430 @@
+/**
+ * Page Graph Module
+ * Builds the labyrinth's page graph from page JSON and HTML content and
+ * checks it for authoring mistakes (unreachable pages, dead ends, traps).
+ * Also renders it as Graphviz DOT, Mermaid or a JSON adjacency list.
+ *
+ * Edge sources:
+ *   - answers[].next                         (answer edge)
+ *   - goPage('path') calls in the content    (goPage edge)
+ *   - <!-- ONLY-VIEW-START IN/INOR/EX/EXOR=[...] -->
+ *                                            (visit condition, not navigation)
+ */
+
+/**
+ * Parse ONLY-VIEW visit conditions in HTML content.
+ * Numeric values (already-resolved IDs) are ignored.
+ * @param {string} html - Page HTML content
+ * @returns {Array<{ type: string, pages: string[] }>} One entry per condition
+ */
+function parseVisitConditions(html) {
+    const conditions = [];
+    if (!html) return conditions;
+
+    const blocks = html.match(/<!--\s*ONLY-VIEW-START\s+(.*?)\s*-->/g) || [];
+    for (const block of blocks) {
+        for (const m of block.matchAll(/(IN|INOR|EX|EXOR)=\[([^\]]*)\]/g)) {
+            const pages = m[2].split(',')
+                .map(v => v.trim())
+                .filter(t => t && !/^\d+$/.test(t));
+            conditions.push({ type: m[1], pages });
+        }
+    }
+
+    return conditions;
+}
+
+/**
+ * Collect goPage('path') targets in HTML content (numeric IDs ignored)
+ * @param {string} html - Page HTML content
+ * @returns {string[]} Unique page names
+ */
+function findGoPageRefs(html) {
+    const refs = new Set();
+    if (!html) return [];
+
+    for (const m of html.matchAll(/goPage\('([^']+)'\)/g)) {
+        const t = m[1].trim();
+        if (t && !/^\d+$/.test(t)) refs.add(t);
+    }
+
+    return [...refs];
+}
+
+/**
+ * Collect page-name references in HTML content.
+ * Looks inside ONLY-VIEW conditions (IN/INOR/EX/EXOR=[...]) and goPage('path') calls.
+ * Numeric values (already-resolved IDs) are ignored.
+ * @param {string} html - Page HTML content
+ * @returns {string[]} - Unique referenced page names (non-numeric paths)
+ */
+function findContentPageRefs(html) {
+    const refs = new Set();
+    for (const cond of parseVisitConditions(html)) {
+        cond.pages.forEach(p => refs.add(p));
+    }
+    findGoPageRefs(html).forEach(p => refs.add(p));
+    return [...refs];
+}
+
+/**
+ * Build the page graph
+ * @param {object} pages - { pageName: { html, json } }
+ * @returns {{ nodes: object, edges: Array<{ from: string, to: string, type: string, label: string }> }}
+ *   nodes: { pageName: { title, isEnding, isBadend } }, edge type: 'answer' | 'goPage' | 'visit'
+ */
+function buildPageGraph(pages) {
+    const nodes = {};
+    const edges = [];
+
+    for (const [name, pageInfo] of Object.entries(pages)) {
+        const json = pageInfo.json || {};
+        nodes[name] = {
+            title: json.title || name,
+            isEnding: json.is_ending === true,
+            isBadend: json.is_ending === true && json.is_badend === true
+        };
+
+        for (const ans of json.answers || []) {
+            if (ans.next) {
+                const texts = [ans.answer || '', ...(Array.isArray(ans.aliases) ? ans.aliases : [])];
+                edges.push({ from: name, to: ans.next, type: 'answer', label: texts.join(' / ') });
+            }
+        }
+        for (const target of findGoPageRefs(pageInfo.html)) {
+            edges.push({ from: name, to: target, type: 'goPage', label: '' });
+        }
+        for (const cond of parseVisitConditions(pageInfo.html)) {
+            for (const target of cond.pages) {
+                edges.push({ from: name, to: target, type: 'visit', label: cond.type });
+            }
+        }
+    }
+
+    return { nodes, edges };
+}
+
+/**
+ * Pages reachable from `start` following navigation edges (answers + goPage)
+ * @param {object} adjacency - { pageName: string[] }
+ * @param {string} start
+ * @returns {Set<string>}
+ */
+function reachableFrom(adjacency, start) {
+    const seen = new Set([start]);
+    const queue = [start];
+    while (queue.length > 0) {
+        const current = queue.shift();
+        for (const next of adjacency[current] || []) {
+            if (!seen.has(next)) {
+                seen.add(next);
+                queue.push(next);
+            }
+        }
+    }
+    return seen;
+}
+
+/**
+ * Strongly connected components (Tarjan)
+ * @param {string[]} names
+ * @param {object} adjacency - { pageName: string[] }
+ * @returns {string[][]}
+ */
+function stronglyConnected(names, adjacency) {
+    let index = 0;
+    const indices = {};
+    const lowlinks = {};
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+
+    function visit(v) {
+        indices[v] = lowlinks[v] = index++;
+        stack.push(v);
+        onStack.add(v);
+
+        for (const w of adjacency[v] || []) {
+            if (indices[w] === undefined) {
+                visit(w);
+                lowlinks[v] = Math.min(lowlinks[v], lowlinks[w]);
+            } else if (onStack.has(w)) {
+                lowlinks[v] = Math.min(lowlinks[v], indices[w]);
+            }
+        }
+
+        if (lowlinks[v] === indices[v]) {
+            const component = [];
+            let w;
+            do {
+                w = stack.pop();
+                onStack.delete(w);
+                component.push(w);
+            } while (w !== v);
+            components.push(component);
+        }
+    }
+
+    for (const v of names) {
+        if (indices[v] === undefined) visit(v);
+    }
+    return components;
+}
+
+/**
+ * Analyze the page graph rooted at the start page
+ *
+ * Errors:
+ *   - answer/goPage/ONLY-VIEW reference to a page that doesn't exist
+ *   - cycle with no way out (no ending inside, no edge leaving it)
+ * Warnings:
+ *   - page not reachable from the start page
+ *   - non-ending page with no answers and no goPage exit (dead end)
+ *   - no is_ending page reachable, or only bad endings (is_badend) reachable
+ *   - goPage/ONLY-VIEW reference to a page that can't have been visited yet
+ *
+ * @param {object} pages - { pageName: { html, json } }
+ * @param {string|null} startPage - Start page name (labyrinth.json start_page)
+ * @returns {{ valid: boolean, errors: string[], warnings: string[] }}
+ */
+function lintPageGraph(pages, startPage) {
+    const errors = [];
+    const warnings = [];
+    const { nodes, edges } = buildPageGraph(pages);
+    const names = Object.keys(nodes);
+
+    // Navigation adjacency over existing pages only
+    const adjacency = {};
+    names.forEach(n => { adjacency[n] = []; });
+    for (const edge of edges) {
+        if (!nodes[edge.to]) {
+            // answer.next to a missing page is already reported by validatePageJson
+            if (edge.type === 'goPage') {
+                errors.push(`[${edge.from}] goPage가 존재하지 않는 페이지를 참조합니다: "${edge.to}"`);
+            } else if (edge.type === 'visit') {
+                errors.push(`[${edge.from}] ONLY-VIEW ${edge.label} 조건이 존재하지 않는 페이지를 참조합니다: "${edge.to}"`);
+            }
+            continue;
+        }
+        if (edge.type !== 'visit' && !adjacency[edge.from].includes(edge.to)) {
+            adjacency[edge.from].push(edge.to);
+        }
+    }
+
+    // Dead ends
+    for (const name of names) {
+        if (!nodes[name].isEnding && adjacency[name].length === 0) {
+            warnings.push(`[${name}] 엔딩이 아닌데 정답도 goPage 출구도 없습니다 (막다른 페이지)`);
+        }
+    }
+
+    // Cycles with no way out
+    for (const component of stronglyConnected(names, adjacency)) {
+        const members = new Set(component);
+        const isCycle = component.length > 1 || adjacency[component[0]].includes(component[0]);
+        if (!isCycle) continue;
+        const hasEnding = component.some(n => nodes[n].isEnding);
+        const hasExit = component.some(n => adjacency[n].some(next => !members.has(next)));
+        if (!hasEnding && !hasExit) {
+            errors.push(`출구 없는 순환: ${component.sort().join(' → ')} (엔딩으로 나갈 방법이 없습니다)`);
+        }
+    }
+
+    if (!startPage || !nodes[startPage]) {
+        warnings.push('시작 페이지가 없어 도달 가능성 검사를 건너뜁니다.');
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    // Reachability from the start page
+    const reachable = reachableFrom(adjacency, startPage);
+    for (const name of names) {
+        if (!reachable.has(name)) {
+            warnings.push(`[${name}] 시작 페이지에서 도달할 수 없습니다`);
+        }
+    }
+    if (!names.some(n => reachable.has(n) && nodes[n].isEnding)) {
+        warnings.push('시작 페이지에서 도달할 수 있는 엔딩(is_ending) 페이지가 없습니다.');
+    } else if (!names.some(n => reachable.has(n) && nodes[n].isEnding && !nodes[n].isBadend)) {
+        warnings.push('시작 페이지에서 도달할 수 있는 엔딩이 모두 배드엔딩(is_badend)입니다 (클리어할 수 없음).');
+    }
+
+    // goPage/ONLY-VIEW refs: the referenced page must be visitable before this one,
+    // i.e. reachable from the start AND able to lead back to the referencing page.
+    const reachCache = {};
+    const canPrecede = (target, from) => {
+        if (!reachable.has(target)) return false;
+        if (!reachCache[target]) reachCache[target] = reachableFrom(adjacency, target);
+        return reachCache[target].has(from);
+    };
+    const reported = new Set();
+    for (const edge of edges) {
+        if (edge.type === 'answer' || !nodes[edge.to] || edge.to === edge.from) continue;
+        if (!reachable.has(edge.from)) continue;
+        const key = `${edge.from}|${edge.to}|${edge.type}`;
+        if (reported.has(key) || canPrecede(edge.to, edge.from)) continue;
+        reported.add(key);
+        const kind = edge.type === 'goPage' ? 'goPage가' : `ONLY-VIEW ${edge.label} 조건이`;
+        warnings.push(`[${edge.from}] ${kind} 참조하는 "${edge.to}"는 이 페이지보다 먼저 방문할 수 없습니다`);
+    }
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Escape a string for a double-quoted DOT identifier/label
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeDot(str) {
+    return String(str).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Escape a string for a double-quoted Mermaid label
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeMermaid(str) {
+    return String(str).replace(/"/g, '#quot;').replace(/\n/g, '<br/>');
+}
+
+/**
+ * Edges between existing pages only (missing targets are a validation error)
+ * @param {{ nodes: object, edges: Array }} graph
+ * @returns {Array}
+ */
+function existingEdges(graph) {
+    return graph.edges.filter(edge => graph.nodes[edge.to]);
+}
+
+/**
+ * Render the page graph as Graphviz DOT
+ * Start page: bold blue; endings: green (bad endings red) double octagon; goPage links and
+ * ONLY-VIEW conditions: dashed edges.
+ * @param {{ nodes: object, edges: Array }} graph - Result of buildPageGraph
+ * @param {string|null} startPage
+ * @returns {string}
+ */
+function toDot(graph, startPage) {
+    const lines = [
+        'digraph labyrinth {',
+        '    rankdir=TB;',
+        '    node [shape=box, style="rounded,filled", fillcolor="#ffffff", fontname="sans-serif"];',
+        '    edge [fontname="sans-serif"];'
+    ];
+
+    for (const [name, node] of Object.entries(graph.nodes)) {
+        const attrs = [`label="${escapeDot(`${node.title}\n${name}`)}"`];
+        if (name === startPage) attrs.push('fillcolor="#cce5ff"', 'penwidth=2');
+        if (node.isEnding) attrs.push('shape=doubleoctagon', `fillcolor="${node.isBadend ? '#f8d7da' : '#d4edda'}"`);
+        lines.push(`    "${escapeDot(name)}" [${attrs.join(', ')}];`);
+    }
+
+    for (const edge of existingEdges(graph)) {
+        const attrs = [];
+        if (edge.type === 'answer') {
+            attrs.push(`label="${escapeDot(edge.label)}"`);
+        } else if (edge.type === 'goPage') {
+            attrs.push('style=dashed', 'label="goPage"');
+        } else {
+            attrs.push('style=dashed', 'color="#888888"', 'fontcolor="#888888"', `label="${escapeDot(edge.label)}"`);
+        }
+        lines.push(`    "${escapeDot(edge.from)}" -> "${escapeDot(edge.to)}" [${attrs.join(', ')}];`);
+    }
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render the page graph as a Mermaid flowchart
+ * @param {{ nodes: object, edges: Array }} graph - Result of buildPageGraph
+ * @param {string|null} startPage
+ * @returns {string}
+ */
+function toMermaid(graph, startPage) {
+    const lines = ['flowchart TD'];
+
+    // Mermaid ids can't contain "/" etc., so number the nodes
+    const ids = {};
+    Object.keys(graph.nodes).forEach((name, i) => { ids[name] = `n${i}`; });
+
+    for (const [name, node] of Object.entries(graph.nodes)) {
+        const label = escapeMermaid(`${node.title}\n${name}`);
+        lines.push(node.isEnding ? `    ${ids[name]}(["${label}"])` : `    ${ids[name]}["${label}"]`);
+    }
+
+    for (const edge of existingEdges(graph)) {
+        const from = ids[edge.from];
+        const to = ids[edge.to];
+        if (edge.type === 'answer') {
+            lines.push(`    ${from} -->|"${escapeMermaid(edge.label)}"| ${to}`);
+        } else {
+            const label = edge.type === 'goPage' ? 'goPage' : edge.label;
+            lines.push(`    ${from} -.->|"${escapeMermaid(label)}"| ${to}`);
+        }
+    }
+
+    lines.push('    classDef start fill:#cce5ff,stroke-width:2px');
+    lines.push('    classDef ending fill:#d4edda');
+    lines.push('    classDef badend fill:#f8d7da');
+    if (startPage && ids[startPage]) {
+        lines.push(`    class ${ids[startPage]} start`);
+    }
+    for (const [cls, isBadend] of [['ending', false], ['badend', true]]) {
+        const endings = Object.keys(graph.nodes)
+            .filter(n => graph.nodes[n].isEnding && graph.nodes[n].isBadend === isBadend && n !== startPage);
+        if (endings.length > 0) {
+            lines.push(`    class ${endings.map(n => ids[n]).join(',')} ${cls}`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render the page graph as a JSON adjacency list
+ * @param {{ nodes: object, edges: Array }} graph - Result of buildPageGraph
+ * @param {string|null} startPage
+ * @returns {string}
+ */
+function toJson(graph, startPage) {
+    const pages = {};
+    for (const [name, node] of Object.entries(graph.nodes)) {
+        pages[name] = {
+            title: node.title,
+            is_start: name === startPage,
+            is_ending: node.isEnding,
+            is_badend: node.isBadend,
+            edges: []
+        };
+    }
+    for (const edge of existingEdges(graph)) {
+        const entry = { to: edge.to, type: edge.type };
+        if (edge.type === 'answer') entry.answer = edge.label;
+        if (edge.type === 'visit') entry.condition = edge.label;
+        pages[edge.from].edges.push(entry);
+    }
+    return JSON.stringify({ start_page: startPage || null, pages }, null, 4) + '\n';
+}
+
+/**
+ * Supported export formats
+ */
+const GRAPH_FORMATS = {
+    dot: toDot,
+    mermaid: toMermaid,
+    json: toJson
+};
+
+module.exports = {
+    GRAPH_FORMATS,
+    toDot,
+    toMermaid,
+    toJson,
+    parseVisitConditions,
+    findGoPageRefs,
+    findContentPageRefs,
+    buildPageGraph,
+    lintPageGraph
+};
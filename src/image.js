@@ -34,6 +34,162 @@ const IMAGE_CONSTRAINTS = {
     maxSizeMB: 2
 };
 
+/**
+ * Title image constraints (labyrinth.json `image`)
+ */
+const TITLE_IMAGE_CONSTRAINTS = {
+    width: 380,
+    height: 100,
+    maxSizeBytes: 5 * 1024 * 1024,
+    maxSizeMB: 5
+};
+
+/**
+ * Image format implied by each file extension
+ */
+const EXTENSION_FORMATS = {
+    '.png': 'png',
+    '.jpg': 'jpeg',
+    '.jpeg': 'jpeg',
+    '.gif': 'gif',
+    '.bmp': 'bmp',
+    '.webp': 'webp',
+    '.avif': 'avif',
+    '.svg': 'svg'
+};
+
+/**
+ * JPEG start-of-frame markers (carry the pixel size)
+ */
+const JPEG_SOF_MARKERS = [0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+/**
+ * Read a JPEG's size by walking its segments
+ * @param {Buffer} buf
+ * @returns {{ width: number|null, height: number|null, truncated: boolean }}
+ */
+function readJpegInfo(buf) {
+    let width = null;
+    let height = null;
+    let scanStart = -1;
+    let i = 2;
+    while (i + 4 <= buf.length) {
+        if (buf[i] !== 0xFF) break;
+        const marker = buf[i + 1];
+        if (marker === 0xFF) { i++; continue; }
+        // Markers without a length field
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD8)) { i += 2; continue; }
+        const length = buf.readUInt16BE(i + 2);
+        if (JPEG_SOF_MARKERS.includes(marker) && i + 9 <= buf.length) {
+            height = buf.readUInt16BE(i + 5);
+            width = buf.readUInt16BE(i + 7);
+        }
+        if (marker === 0xDA) { scanStart = i + 2 + length; break; }
+        i += 2 + length;
+    }
+    // FF D9 can't appear inside entropy-coded data (FF is stuffed), so an EOI
+    // after the scan start means the file is complete; trailing bytes are fine
+    const eoi = buf.lastIndexOf(Buffer.from([0xFF, 0xD9]));
+    return { width, height, truncated: scanStart < 0 || eoi < scanStart };
+}
+
+/**
+ * Read an image file's real format and pixel size from its signature and
+ * header, regardless of the file extension
+ * @param {string} filePath - Path to image file
+ * @returns {{ format: string|null, width: number|null, height: number|null, truncated: boolean }}
+ *   format is null when the signature isn't a known image format
+ */
+function sniffImage(filePath) {
+    const buf = fs.readFileSync(filePath);
+    const ascii = (start, end) => buf.toString('latin1', start, end);
+    const info = { format: null, width: null, height: null, truncated: false };
+
+    if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504E47 && buf.readUInt32BE(4) === 0x0D0A1A0A) {
+        info.format = 'png';
+        info.width = buf.readUInt32BE(16);
+        info.height = buf.readUInt32BE(20);
+        info.truncated = ascii(buf.length - 8, buf.length - 4) !== 'IEND';
+    } else if (buf.length >= 4 && buf[0] === 0xFF && buf[1] === 0xD8 && buf[2] === 0xFF) {
+        info.format = 'jpeg';
+        Object.assign(info, readJpegInfo(buf));
+    } else if (buf.length >= 10 && (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a')) {
+        info.format = 'gif';
+        info.width = buf.readUInt16LE(6);
+        info.height = buf.readUInt16LE(8);
+        info.truncated = buf[buf.length - 1] !== 0x3B;
+    } else if (buf.length >= 26 && ascii(0, 2) === 'BM') {
+        info.format = 'bmp';
+        const coreHeader = buf.readUInt32LE(14) === 12;
+        info.width = coreHeader ? buf.readUInt16LE(18) : buf.readInt32LE(18);
+        info.height = Math.abs(coreHeader ? buf.readUInt16LE(20) : buf.readInt32LE(22));
+        info.truncated = buf.readUInt32LE(2) > buf.length;
+    } else if (buf.length >= 30 && ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WEBP') {
+        info.format = 'webp';
+        const chunk = ascii(12, 16);
+        if (chunk === 'VP8 ') {
+            info.width = buf.readUInt16LE(26) & 0x3FFF;
+            info.height = buf.readUInt16LE(28) & 0x3FFF;
+        } else if (chunk === 'VP8L') {
+            const bits = buf.readUInt32LE(21);
+            info.width = (bits & 0x3FFF) + 1;
+            info.height = ((bits >> 14) & 0x3FFF) + 1;
+        } else if (chunk === 'VP8X') {
+            info.width = buf.readUIntLE(24, 3) + 1;
+            info.height = buf.readUIntLE(27, 3) + 1;
+        }
+        info.truncated = buf.readUInt32LE(4) + 8 > buf.length;
+    } else if (buf.length >= 12 && ascii(4, 8) === 'ftyp' && /avi[fs]/.test(ascii(8, Math.min(buf.length, buf.readUInt32BE(0))))) {
+        info.format = 'avif';
+        // Image spatial extents property: version/flags, then width and height
+        const ispe = buf.indexOf('ispe', 0, 'latin1');
+        if (ispe >= 0 && ispe + 16 <= buf.length) {
+            info.width = buf.readUInt32BE(ispe + 8);
+            info.height = buf.readUInt32BE(ispe + 12);
+        }
+    } else {
+        const head = buf.toString('utf8', 0, Math.min(buf.length, 4096));
+        const svg = head.match(/<svg\b[^>]*>/i);
+        if (svg) {
+            info.format = 'svg';
+            const attr = (name) => {
+                const m = svg[0].match(new RegExp(`\\s${name}=["']\\s*([\\d.]+)(?:px)?\\s*["']`));
+                return m ? Math.round(Number(m[1])) : null;
+            };
+            info.width = attr('width');
+            info.height = attr('height');
+        }
+    }
+
+    return info;
+}
+
+/**
+ * Check that an image file really is the format its extension says, isn't
+ * cut short and has a readable pixel size (SVG may omit its size)
+ * @param {string} filePath - Path to image file
+ * @returns {{ error: string|null, info: object }} info: result of sniffImage
+ */
+function checkImageFile(filePath) {
+    const info = sniffImage(filePath);
+    const ext = path.extname(filePath).toLowerCase();
+    const expected = EXTENSION_FORMATS[ext];
+
+    if (!info.format) {
+        return { error: '이미지 파일이 아니거나 알 수 없는 형식입니다', info };
+    }
+    if (expected && info.format !== expected) {
+        return { error: `확장자(${ext})와 실제 형식(${info.format.toUpperCase()})이 다릅니다`, info };
+    }
+    if (info.truncated) {
+        return { error: '파일이 잘렸거나 손상되었습니다', info };
+    }
+    if (info.format !== 'svg' && !(info.width > 0 && info.height > 0)) {
+        return { error: '이미지 크기를 읽을 수 없습니다 (손상된 파일)', info };
+    }
+    return { error: null, info };
+}
+
 /**
  * Validate image file
  * @param {string} filePath - Path to image file
@@ -64,6 +220,12 @@ function validateImage(filePath) {
         };
     }
 
+    // Check the real contents (the popup just times out on a bad file)
+    const { error } = checkImageFile(filePath);
+    if (error) {
+        return { valid: false, error: `${path.basename(filePath)}: ${error}` };
+    }
+
     return { valid: true, error: null };
 }
 
@@ -262,7 +424,10 @@ module.exports = {
     generateRandomId,
     calculateChecksum,
     validateImage,
+    sniffImage,
+    checkImageFile,
     uploadImage,
     uploadImages,
-    IMAGE_CONSTRAINTS
+    IMAGE_CONSTRAINTS,
+    TITLE_IMAGE_CONSTRAINTS
 };
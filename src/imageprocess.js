@@ -0,0 +1,295 @@
+/**
+ * Image Processing Module
+ * Makes images fit the site's formats and limits before upload. Size and
+ * title fitting are enabled with labyrinth.json `image_processing`:
+ *
+ *   true                               all defaults below
+ *   { "resize": true,                  recompress/downscale oversized content images
+ *     "title": "letterbox",            title image to 380x100: "letterbox" | "crop" | false
+ *     "background": "#000000" }        letterbox fill color
+ *
+ * Content images: JPEG/PNG over IMAGE_CONSTRAINTS.maxSizeBytes are
+ * recompressed first, then downscaled step by step until they fit.
+ * Title image: resized to TITLE_IMAGE_CONSTRAINTS (fit inside with bars, or
+ * cover and crop) and recompressed to its size limit.
+ *
+ * Always on, regardless of the policy: WebP, AVIF and SVG (which the site
+ * rejects) are converted to PNG when they have transparency (SVG always),
+ * otherwise to JPEG. With `resize` the converted image is also fitted to the
+ * size limit.
+ *
+ * Originals are never modified. Output goes to .cache/images/ in the content
+ * folder, named by the source checksum and options, and is reused as long as
+ * the source doesn't change. Decoding and encoding are pure JS/WASM (jimp,
+ * jSquash for WebP/AVIF, resvg for SVG), no native or system binaries.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { IMAGE_CONSTRAINTS, TITLE_IMAGE_CONSTRAINTS, calculateChecksum, sniffImage } = require('./image');
+
+const IMAGE_CACHE_DIR = path.join('.cache', 'images');
+
+const PROCESSING_DEFAULTS = {
+    resize: true,
+    title: 'letterbox',
+    background: '#000000'
+};
+
+const TITLE_MODES = ['letterbox', 'crop'];
+
+// Formats the site doesn't accept; converted before upload
+const CONVERTED_IMAGE_EXTENSIONS = ['.webp', '.avif', '.svg'];
+
+// SVG has no pixel size of its own: rasterize at 2x for sharp text
+const SVG_SCALE = 2;
+
+// Tried in order until the output fits
+const JPEG_QUALITIES = [85, 75, 65];
+const MAX_RESIZE_ATTEMPTS = 5;
+
+let codecs = null;
+
+/**
+ * Load the codecs on first use, so the module only costs something when
+ * enabled. The WASM decoders are compiled from their files in node_modules
+ * (their own loaders fetch() the .wasm, which Node can't do for file URLs).
+ * @returns {Promise<{ Jimp: Function, decodeWebp: Function, decodeAvif: Function, Resvg: Function }>}
+ */
+async function loadCodecs() {
+    if (codecs) return codecs;
+    const compile = (file) => WebAssembly.compile(fs.readFileSync(require.resolve(file)));
+    try {
+        const { Jimp } = require('jimp');
+        const webp = await import('@jsquash/webp/decode.js');
+        const avif = await import('@jsquash/avif/decode.js');
+        const resvg = require('@resvg/resvg-wasm');
+        await webp.init(await compile('@jsquash/webp/codec/dec/webp_dec.wasm'));
+        await avif.init(await compile('@jsquash/avif/codec/dec/avif_dec.wasm'));
+        await resvg.initWasm(fs.readFileSync(require.resolve('@resvg/resvg-wasm/index_bg.wasm')));
+        codecs = { Jimp, decodeWebp: webp.default, decodeAvif: avif.default, Resvg: resvg.Resvg };
+        return codecs;
+    } catch (e) {
+        throw new Error(`이미지 처리에 필요한 모듈을 불러올 수 없습니다. npm install을 실행해주세요. (${e.message})`);
+    }
+}
+
+/**
+ * Decode an image file (JPEG/PNG/GIF/BMP, or WebP/AVIF/SVG) to a Jimp image
+ * @param {string} filePath
+ * @returns {Promise<object>} Jimp image
+ */
+async function readImage(filePath) {
+    const { Jimp, decodeWebp, decodeAvif, Resvg } = await loadCodecs();
+    const ext = path.extname(filePath).toLowerCase();
+    const input = fs.readFileSync(filePath);
+
+    if (ext === '.svg') {
+        const png = new Resvg(input, { fitTo: { mode: 'zoom', value: SVG_SCALE } }).render().asPng();
+        return Jimp.read(Buffer.from(png));
+    }
+    if (ext === '.webp' || ext === '.avif') {
+        const decoded = await (ext === '.webp' ? decodeWebp : decodeAvif)(input);
+        if (!decoded) throw new Error(`${ext.slice(1).toUpperCase()} 디코딩 실패`);
+        return new Jimp({ width: decoded.width, height: decoded.height, data: Buffer.from(decoded.data.buffer) });
+    }
+    return Jimp.read(input);
+}
+
+/**
+ * Resolve a policy value to options, or null when processing is off
+ * @param {boolean|object|undefined} policy
+ * @returns {{ resize: boolean, title: string|false, background: string }|null}
+ */
+function normalizeProcessingPolicy(policy) {
+    if (policy === true) return { ...PROCESSING_DEFAULTS };
+    if (!policy || typeof policy !== 'object') return null;
+    return { ...PROCESSING_DEFAULTS, ...policy };
+}
+
+/**
+ * Validate a policy value
+ * @param {*} policy
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateProcessingPolicy(policy) {
+    if (policy === undefined || typeof policy === 'boolean') return null;
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return 'image_processing은 true/false 또는 객체여야 합니다.';
+    }
+    if (policy.resize !== undefined && typeof policy.resize !== 'boolean') {
+        return 'image_processing.resize는 true/false여야 합니다.';
+    }
+    if (policy.title !== undefined && policy.title !== false && !TITLE_MODES.includes(policy.title)) {
+        return `image_processing.title 값이 잘못되었습니다. (허용: ${TITLE_MODES.join(', ')}, false)`;
+    }
+    if (policy.background !== undefined && !/^#[0-9a-fA-F]{6}$/.test(policy.background)) {
+        return 'image_processing.background는 #RRGGBB 형식이어야 합니다.';
+    }
+    return null;
+}
+
+/**
+ * Output format for a file extension (null if we don't re-encode it)
+ * @param {string} filePath
+ * @returns {'jpeg'|'png'|null}
+ */
+function outputFormatOf(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    if (ext === '.jpg' || ext === '.jpeg') return 'jpeg';
+    if (ext === '.png') return 'png';
+    return null;
+}
+
+/**
+ * Encode an image, lowering quality and then size until it fits. Each
+ * downscale step aims at the limit from the last size (bytes ~ pixels),
+ * so large images need only a few encodes.
+ * @param {object} input - Source image (Jimp, left unchanged)
+ * @param {'jpeg'|'png'} format - Output format
+ * @param {number} maxBytes - Size limit
+ * @param {boolean} allowResize - Downscale when recompression isn't enough
+ * @returns {Promise<Buffer>}
+ * @throws {Error} If even the smallest attempt is too large
+ */
+async function encodeToFit(input, format, maxBytes, allowResize) {
+    const { width } = input.bitmap;
+    const mime = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+    const encoders = format === 'jpeg'
+        ? JPEG_QUALITIES.map(quality => ({ quality }))
+        : [{ deflateLevel: 9 }];
+
+    let scale = 1;
+    for (let attempt = 0; attempt <= MAX_RESIZE_ATTEMPTS; attempt++) {
+        let smallest = Infinity;
+        const image = scale < 1 ? input.clone().resize({ w: Math.max(1, Math.round(width * scale)) }) : input;
+        for (const options of encoders) {
+            const output = await image.getBuffer(mime, options);
+            if (output.length <= maxBytes) return output;
+            smallest = Math.min(smallest, output.length);
+        }
+        if (!allowResize) break;
+        scale *= Math.sqrt(maxBytes / smallest) * 0.9;
+    }
+    throw new Error(`${(maxBytes / 1024 / 1024).toFixed(0)}MB 이하로 줄일 수 없습니다`);
+}
+
+/**
+ * Cached output path; writes the file through `produce` on a cache miss
+ * @param {string} cacheDir - Absolute cache directory
+ * @param {string} name - Cache file name
+ * @param {Function} produce - async () => Buffer
+ * @returns {Promise<string>}
+ */
+async function cached(cacheDir, name, produce) {
+    const outputPath = path.join(cacheDir, name);
+    if (!fs.existsSync(outputPath)) {
+        const output = await produce();
+        fs.mkdirSync(cacheDir, { recursive: true });
+        fs.writeFileSync(outputPath, output);
+    }
+    return outputPath;
+}
+
+/**
+ * Convert a WebP/AVIF/SVG image to PNG or JPEG in the cache
+ * @param {string} filePath - Source image
+ * @param {boolean} resize - Also fit IMAGE_CONSTRAINTS.maxSizeBytes
+ * @param {string} cacheDir - Absolute cache directory
+ * @returns {Promise<string>}
+ */
+async function convertContentImage(filePath, resize, cacheDir) {
+    const isSvg = path.extname(filePath).toLowerCase() === '.svg';
+    const checksum = calculateChecksum(filePath);
+    const suffix = `-converted${resize ? '-fit' : ''}`;
+
+    // The format depends on the pixels (transparency), so a cache hit is
+    // looked up under both names before decoding anything
+    for (const ext of isSvg ? ['.png'] : ['.png', '.jpg']) {
+        const hit = path.join(cacheDir, `${checksum}${suffix}${ext}`);
+        if (fs.existsSync(hit)) return hit;
+    }
+
+    const image = await readImage(filePath);
+    const format = isSvg || image.hasAlpha() ? 'png' : 'jpeg';
+    const ext = format === 'jpeg' ? '.jpg' : '.png';
+    const maxBytes = resize ? IMAGE_CONSTRAINTS.maxSizeBytes : Infinity;
+    return cached(cacheDir, `${checksum}${suffix}${ext}`, () => encodeToFit(image, format, maxBytes, resize));
+}
+
+/**
+ * Path to upload for a content image: the original when the site accepts it
+ * as is, otherwise a converted (WebP/AVIF/SVG) or shrunk (oversized JPEG/PNG
+ * with `resize`) copy in the cache.
+ * @param {string} filePath - Source image
+ * @param {object|null} policy - Result of normalizeProcessingPolicy
+ * @param {string} cacheDir - Absolute cache directory
+ * @returns {Promise<string>}
+ */
+async function prepareContentImage(filePath, policy, cacheDir) {
+    const resize = Boolean(policy && policy.resize);
+    const ext = path.extname(filePath).toLowerCase();
+    if (CONVERTED_IMAGE_EXTENSIONS.includes(ext)) {
+        return convertContentImage(filePath, resize, cacheDir);
+    }
+
+    const format = outputFormatOf(filePath);
+    if (!resize || !format) return filePath;
+    if (fs.statSync(filePath).size <= IMAGE_CONSTRAINTS.maxSizeBytes) return filePath;
+
+    const name = `${calculateChecksum(filePath)}-content${ext}`;
+    return cached(cacheDir, name, async () =>
+        encodeToFit(await readImage(filePath), format, IMAGE_CONSTRAINTS.maxSizeBytes, true));
+}
+
+/**
+ * Path to upload for the title image: the original when it is already
+ * 380x100 and within the size limit, otherwise a letterboxed or cropped copy
+ * in the cache (PNG for PNG/GIF/BMP sources, JPEG for JPEG).
+ * @param {string} filePath - Source image
+ * @param {object|null} policy - Result of normalizeProcessingPolicy
+ * @param {string} cacheDir - Absolute cache directory
+ * @returns {Promise<string>}
+ */
+async function prepareTitleImage(filePath, policy, cacheDir) {
+    if (!policy || !policy.title) return filePath;
+
+    const { width, height } = TITLE_IMAGE_CONSTRAINTS;
+    const info = sniffImage(filePath);
+    const fits = info.width === width && info.height === height &&
+        fs.statSync(filePath).size <= TITLE_IMAGE_CONSTRAINTS.maxSizeBytes;
+    if (fits) return filePath;
+
+    const format = outputFormatOf(filePath) === 'jpeg' ? 'jpeg' : 'png';
+    const ext = format === 'jpeg' ? '.jpg' : '.png';
+    const name = `${calculateChecksum(filePath)}-title-${policy.title}-${policy.background.slice(1).toLowerCase()}${ext}`;
+
+    return cached(cacheDir, name, async () => {
+        const { Jimp } = await loadCodecs();
+        const image = await readImage(filePath);
+        let resized;
+        if (policy.title === 'crop') {
+            resized = image.cover({ w: width, h: height });
+        } else {
+            // Fit inside, then center on the letterbox color
+            image.scaleToFit({ w: width, h: height });
+            const x = Math.floor((width - image.bitmap.width) / 2);
+            const y = Math.floor((height - image.bitmap.height) / 2);
+            resized = new Jimp({ width, height, color: policy.background }).composite(image, x, y);
+        }
+        // JPEG has no alpha: put transparent areas on the letterbox color
+        if (format === 'jpeg') {
+            resized = new Jimp({ width, height, color: policy.background }).composite(resized, 0, 0);
+        }
+        return encodeToFit(resized, format, TITLE_IMAGE_CONSTRAINTS.maxSizeBytes, false);
+    });
+}
+
+module.exports = {
+    IMAGE_CACHE_DIR,
+    CONVERTED_IMAGE_EXTENSIONS,
+    normalizeProcessingPolicy,
+    validateProcessingPolicy,
+    prepareContentImage,
+    prepareTitleImage
+};
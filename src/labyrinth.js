@@ -7,8 +7,13 @@ const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { generateRandomId } = require('./image');
+const { generateRandomId, checkImageFile, TITLE_IMAGE_CONSTRAINTS } = require('./image');
+const { IMAGE_CACHE_DIR, normalizeProcessingPolicy, validateProcessingPolicy, prepareTitleImage } = require('./imageprocess');
 const { log } = require('./logger');
+const { validateVariantPolicy } = require('./variants');
+const { validateMinifyOptions } = require('./minify');
+const { validateSizeBudget } = require('./sizereport');
+const { validateObfuscateOptions } = require('./obfuscate');
 
 const REGISTER_URL = 'https://www.thelabyrinth.co.kr/labyrinth/laby/making/registLabyrinth.do';
 
@@ -156,10 +161,12 @@ function normalizeConfig(config) {
 /**
  * Validate labyrinth config
  * @param {Object} config - labyrinth config
- * @returns {{ valid: boolean, errors: string[] }}
+ * @param {string} [labyPath] - labyrinth folder; when given, the title image file is checked too
+ * @returns {{ valid: boolean, errors: string[], warnings: string[] }}
  */
-function validateConfig(config) {
+function validateConfig(config, labyPath = '') {
     const errors = [];
+    const warnings = [];
     const normalized = normalizeConfig(config);
 
     // Required: title
@@ -195,6 +202,20 @@ function validateConfig(config) {
         const allowedExts = ['bmp', 'jpg', 'jpeg', 'gif', 'png'];
         if (!allowedExts.includes(ext)) {
             errors.push(`이미지 형식이 잘못되었습니다. (허용: ${allowedExts.join(', ')})`);
+        } else if (labyPath) {
+            const imagePath = path.join(labyPath, normalized.image);
+            if (!fs.existsSync(imagePath)) {
+                errors.push(`타이틀 이미지를 찾을 수 없습니다: ${normalized.image}`);
+            } else {
+                const { error, info } = checkImageFile(imagePath);
+                const { width, height } = TITLE_IMAGE_CONSTRAINTS;
+                const policy = normalizeProcessingPolicy(config.image_processing);
+                if (error) {
+                    errors.push(`타이틀 이미지 ${normalized.image}: ${error}`);
+                } else if ((info.width !== width || info.height !== height) && !(policy && policy.title)) {
+                    warnings.push(`타이틀 이미지가 ${width}x${height}이 아닙니다: ${info.width}x${info.height} (image_processing.title로 자동 맞춤 가능)`);
+                }
+            }
         }
     }
 
@@ -204,9 +225,40 @@ function validateConfig(config) {
         errors.push(`clear_visibility 값이 잘못되었습니다. (허용: ${validVisibility.join(', ')})`);
     }
 
+    // answer_variants: default policy for every page (see variants.js)
+    const variantError = validateVariantPolicy(config.answer_variants);
+    if (variantError) {
+        errors.push(variantError);
+    }
+
+    // image_processing: optional resize/recompress step (see imageprocess.js)
+    const processingError = validateProcessingPolicy(config.image_processing);
+    if (processingError) {
+        errors.push(processingError);
+    }
+
+    // minify: upload-time HTML minification options (see minify.js)
+    const minifyError = validateMinifyOptions(config.minify);
+    if (minifyError) {
+        errors.push(minifyError);
+    }
+
+    // obfuscate: opt-in upload-time obfuscation (see obfuscate.js)
+    const obfuscateError = validateObfuscateOptions(config.obfuscate);
+    if (obfuscateError) {
+        errors.push(obfuscateError);
+    }
+
+    // size_budget: per-page size limits for the size report (see sizereport.js)
+    const budgetError = validateSizeBudget(config.size_budget);
+    if (budgetError) {
+        errors.push(budgetError);
+    }
+
     return {
         valid: errors.length === 0,
-        errors
+        errors,
+        warnings
     };
 }
 
@@ -297,8 +349,8 @@ async function uploadTitleImage(page, browser, imagePath) {
 
     // Check file size (max 5MB)
     const stats = fs.statSync(imagePath);
-    if (stats.size > 5 * 1024 * 1024) {
-        throw new Error(`이미지 파일이 너무 큽니다: ${(stats.size / 1024 / 1024).toFixed(2)}MB (최대 5MB)`);
+    if (stats.size > TITLE_IMAGE_CONSTRAINTS.maxSizeBytes) {
+        throw new Error(`이미지 파일이 너무 큽니다: ${(stats.size / 1024 / 1024).toFixed(2)}MB (최대 ${TITLE_IMAGE_CONSTRAINTS.maxSizeMB}MB)`);
     }
 
     // Create temp file with random suffix to bypass site cache
@@ -391,6 +443,12 @@ async function uploadTitleImage(page, browser, imagePath) {
     }
 }
 
+/**
+ * Config keys the labyrinth settings form never sees: they shape page
+ * uploads (tracked by the page hashes) or only affect local reports
+ */
+const PAGE_ONLY_KEYS = ['minify', 'obfuscate', 'answer_variants', 'size_budget'];
+
 /**
  * Compute hash for labyrinth config (including image file content)
  * @param {Object} config - labyrinth config
@@ -399,6 +457,9 @@ async function uploadTitleImage(page, browser, imagePath) {
  */
 function computeLabyrinthHash(config, labyPath = '') {
     const normalized = normalizeConfig(config);
+    for (const key of PAGE_ONLY_KEYS) {
+        delete normalized[key];
+    }
 
     // Include image file hash if image is specified
     if (normalized.image && labyPath) {
@@ -482,7 +543,20 @@ async function applyConfigToForm(page, config, options = {}) {
     // Handle image upload
     if (normalized.image && browser && labyPath) {
         const imagePath = path.join(labyPath, normalized.image);
-        await uploadTitleImage(page, browser, imagePath);
+        // image_processing: letterbox/crop to 380x100 (cached copy, original untouched)
+        const policy = normalizeProcessingPolicy(normalized.image_processing);
+        let uploadPath = imagePath;
+        if (policy && fs.existsSync(imagePath)) {
+            try {
+                uploadPath = await prepareTitleImage(imagePath, policy, path.join(labyPath, IMAGE_CACHE_DIR));
+            } catch (e) {
+                log.error(`    타이틀 이미지 변환 실패, 원본을 사용합니다: ${e.message}`);
+            }
+        }
+        if (uploadPath !== imagePath) {
+            log.verbose(`    타이틀 이미지 변환됨: ${path.relative(labyPath, uploadPath)}`);
+        }
+        await uploadTitleImage(page, browser, uploadPath);
     }
 }
 
@@ -591,9 +665,66 @@ async function updateLabyrinth(page, labyrinthSeqn, config, options = {}) {
     log.verbose('    수정 완료');
 }
 
+/**
+ * Read labyrinth config back from the registration form (inverse of applyConfigToForm)
+ * The title image is not downloaded; `image` is left out of the returned config.
+ * @param {Page} page - Puppeteer page instance (already logged in)
+ * @param {string} labyrinthSeqn - Labyrinth ID
+ * @returns {Promise<Object>} labyrinth config in labyrinth.json format
+ */
+async function readLabyrinthConfig(page, labyrinthSeqn) {
+    const editUrl = `${REGISTER_URL}?labyrinthSeqn=${labyrinthSeqn}`;
+    log.verbose('    편집 화면으로 이동 중...');
+    await page.goto(editUrl, { waitUntil: 'networkidle2' });
+
+    const config = {};
+    for (const [key, field] of Object.entries(FIELD_MAP)) {
+        const element = await page.$(field.selector);
+        if (!element) {
+            log.verbose(`    ${key} 건너뜀: 셀렉터를 찾을 수 없음`);
+            continue;
+        }
+
+        switch (field.type) {
+            case 'text':
+                config[key] = await page.$eval(field.selector, el => el.value || '');
+                break;
+
+            case 'checkbox':
+                config[key] = await page.$eval(field.selector, el => el.checked);
+                break;
+
+            case 'clear_visibility':
+                const radioValue = await page.$eval(`${field.selector}:checked`, el => el.value).catch(() => null);
+                const visibility = Object.keys(CLEAR_VISIBILITY_MAP).find(k => CLEAR_VISIBILITY_MAP[k] === radioValue);
+                if (visibility) config[key] = visibility;
+                break;
+
+            case 'rating_threshold':
+                const selectValue = await page.$eval(field.selector, el => el.value);
+                config[key] = selectValue === '0' ? 0 : Number(selectValue);
+                break;
+        }
+    }
+
+    // Multi-line descriptions are stored as arrays, like hand-written configs
+    if (config.description && config.description.includes('\n')) {
+        config.description = config.description.split('\n');
+    }
+
+    // Tags: map selected tag IDs back to their English names
+    const tagIds = await page.$$eval('span.tag.tag_selected', els => els.map(el => Number(el.dataset.tagseqn)));
+    config.tags = tagIds
+        .map(id => Object.keys(TAG_MAP).find(name => TAG_MAP[name] === id))
+        .filter(Boolean);
+
+    return config;
+}
+
 module.exports = {
     createLabyrinth,
     updateLabyrinth,
+    readLabyrinthConfig,
     computeLabyrinthHash,
     normalizeConfig,
     validateConfig,
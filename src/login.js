@@ -1,21 +1,82 @@
 /**
  * The Labyrinth Login Module
  * Handles authentication via Puppeteer
+ *
+ * Session reuse: after a full login the browser cookies are saved to a
+ * session file (session.json in the content folder). The next login loads
+ * them and opens a page that requires login; if the site doesn't redirect
+ * to the login page the session is reused, otherwise a full login runs.
  */
 
+const fs = require('fs');
 const puppeteer = require('puppeteer');
+const { log } = require('./logger');
 
 const LOGIN_URL = 'https://www.thelabyrinth.co.kr/labyrinth/user/login.do';
 
+// Any page that redirects to LOGIN_URL when logged out
+const SESSION_CHECK_URL = 'https://www.thelabyrinth.co.kr/labyrinth/laby/making/registLabyrinth.do';
+
+/**
+ * Try to restore a saved session into the page
+ * @param {Page} page - Puppeteer page
+ * @param {string} sessionPath - Session file path
+ * @param {string} email - Account the session must belong to
+ * @returns {Promise<boolean>} True if the restored session is still logged in
+ */
+async function restoreSession(page, sessionPath, email) {
+    if (!fs.existsSync(sessionPath)) return false;
+
+    let session;
+    try {
+        session = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+    } catch (e) {
+        log.verbose(`  세션 파일을 읽을 수 없습니다: ${e.message}`);
+        return false;
+    }
+    if (session.email !== email || !Array.isArray(session.cookies) || session.cookies.length === 0) {
+        return false;
+    }
+
+    await page.setCookie(...session.cookies);
+    await page.goto(SESSION_CHECK_URL, { waitUntil: 'networkidle2' });
+    return !page.url().includes('login.do');
+}
+
+/**
+ * Save the page's cookies as the session for this account
+ * @param {Page} page - Puppeteer page (logged in)
+ * @param {string} sessionPath - Session file path
+ * @param {string} email - Account the session belongs to
+ */
+async function saveSession(page, sessionPath, email) {
+    const cookies = await page.cookies();
+    const session = { email, savedAt: new Date().toISOString(), cookies };
+    fs.writeFileSync(sessionPath, JSON.stringify(session, null, 4) + '\n', { encoding: 'utf8', mode: 0o600 });
+}
+
+/**
+ * Delete a saved session
+ * @param {string} sessionPath - Session file path
+ * @returns {boolean} True if a session file was deleted
+ */
+function forgetSession(sessionPath) {
+    if (!fs.existsSync(sessionPath)) return false;
+    fs.unlinkSync(sessionPath);
+    return true;
+}
+
 /**
  * Login to The Labyrinth site
  * @param {Object} options
  * @param {string} options.email - User email
  * @param {string} options.password - User password
  * @param {boolean} [options.headless=true] - Run browser in headless mode
- * @returns {Promise<{browser: Browser, page: Page}>} Browser and page instances
+ * @param {string} [options.sessionPath] - Reuse/save the session cookies in this file
+ * @returns {Promise<{browser: Browser, page: Page, restored: boolean}>} Browser and page instances;
+ *   restored is true when a saved session was reused
  */
-async function login({ email, password, headless = true }) {
+async function login({ email, password, headless = true, sessionPath = null }) {
     if (!email || !password) {
         throw new Error('이메일과 비밀번호가 필요합니다');
     }
@@ -28,6 +89,16 @@ async function login({ email, password, headless = true }) {
     const page = await browser.newPage();
 
     try {
+        if (sessionPath) {
+            if (await restoreSession(page, sessionPath, email)) {
+                log.verbose('  저장된 세션을 사용합니다');
+                return { browser, page, restored: true };
+            }
+            // Expired or belongs to another account: start clean
+            log.verbose('  저장된 세션이 없거나 만료되어 새로 로그인합니다');
+            await page.deleteCookie(...await page.cookies());
+        }
+
         // Navigate to login page
         await page.goto(LOGIN_URL, { waitUntil: 'networkidle2' });
 
@@ -59,7 +130,11 @@ async function login({ email, password, headless = true }) {
             }
         }
 
-        return { browser, page };
+        if (sessionPath) {
+            await saveSession(page, sessionPath, email);
+        }
+
+        return { browser, page, restored: false };
 
     } catch (error) {
         await browser.close();
@@ -80,5 +155,6 @@ async function logout(browser) {
 module.exports = {
     login,
     logout,
+    forgetSession,
     LOGIN_URL
 };
@@ -0,0 +1,209 @@
+/**
+ * Markdown Module
+ * Converts {name}.md page bodies to HTML shaped like what the site's editor
+ * produces, so writers don't have to hand-write SmartEditor markup.
+ *
+ * Supported subset:
+ *   # .. ######          Headings → centered, bold, sized <span>
+ *   paragraphs           Centered <p>; single line breaks become <br>
+ *   extra blank lines    One empty centered paragraph per extra blank line
+ *   --- / ***            <hr>
+ *   ![alt](src)          <img>; src is kept exactly as written (local paths
+ *                        are resolved and uploaded like in .html pages)
+ *   [text](url)          <a>; url may be javascript:goPage('path')
+ *   **bold** *italic* _italic_ ~~strike~~ `code`, backslash escapes
+ *   ```html ... ```      Raw HTML, passed through untouched
+ *   ``` ... ```          Escaped <pre><code> block
+ *   <!-- ... -->         Comments (ONLY-VIEW, INCLUDE) passed through untouched
+ *   <div ...> blocks     Lines starting with a block-level tag pass through
+ *                        until the next blank line
+ *
+ * Inline HTML tags, comments and goPage('...') calls are never touched by
+ * emphasis rules, so attributes like onclick="goPage('a_b')" survive.
+ */
+
+const PARAGRAPH_OPEN = '<p style="text-align: center;">';
+const EMPTY_PARAGRAPH = `${PARAGRAPH_OPEN}<br></p>`;
+
+const HEADING_SIZES = { 1: 32, 2: 24, 3: 20, 4: 18, 5: 16, 6: 14 };
+
+const BLOCK_TAGS = [
+    'address', 'article', 'aside', 'blockquote', 'center', 'details', 'div', 'dl', 'fieldset',
+    'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'iframe',
+    'audio', 'video', 'ol', 'p', 'pre', 'script', 'section', 'style', 'table', 'ul'
+];
+const BLOCK_TAG_REGEX = new RegExp(`^</?(?:${BLOCK_TAGS.join('|')})(?:[\\s/>]|$)`, 'i');
+
+/**
+ * Escape text for HTML content
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    return str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape a value for a double-quoted attribute
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeAttr(str) {
+    return str.replace(/&(?![a-z#0-9]+;)/gi, '&amp;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Convert inline Markdown in one paragraph/heading
+ * @param {string} text
+ * @returns {string}
+ */
+function renderInline(text) {
+    // Protected fragments are swapped for placeholders, then restored at the end
+    const held = [];
+    const hold = (html) => `\u0000${held.push(html) - 1}\u0000`;
+
+    let out = text
+        .replace(/\\([\\`*_~[\]()#!<>-])/g, (m, ch) => hold(escapeHtml(ch)))
+        .replace(/`([^`]+)`/g, (m, code) => hold(`<code>${escapeHtml(code)}</code>`))
+        .replace(/<!--[\s\S]*?-->/g, m => hold(m))
+        .replace(/<\/?[a-z][^>]*>/gi, m => hold(m))
+        .replace(/goPage\('[^']*'\)/g, m => hold(m));
+
+    const url = '((?:[^()\\s]|\\([^()]*\\))+)(?:\\s+"([^"]*)")?';
+    out = out
+        .replace(new RegExp(`!\\[([^\\]]*)\\]\\(${url}\\)`, 'g'), (m, alt, src, title) =>
+            hold(`<img src="${escapeAttr(src)}" alt="${escapeAttr(alt)}"${title ? ` title="${escapeAttr(title)}"` : ''}>`))
+        .replace(new RegExp(`\\[([^\\]]+)\\]\\(${url}\\)`, 'g'), (m, label, href, title) =>
+            `${hold(`<a href="${escapeAttr(href)}"${title ? ` title="${escapeAttr(title)}"` : ''}>`)}${label}${hold('</a>')}`);
+
+    // Remaining text: escape stray markup characters (entities are kept)
+    out = out
+        .replace(/&(?![a-z#0-9]+;)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+
+    out = out
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<b>$1</b>')
+        .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>')
+        .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<i>$1</i>')
+        // Underscores only at word edges, so snake_case stays intact
+        .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<i>$2</i>');
+
+    // Placeholders can nest (link label containing code), restore until stable
+    while (/\u0000\d+\u0000/.test(out)) {
+        out = out.replace(/\u0000(\d+)\u0000/g, (m, i) => held[Number(i)]);
+    }
+    return out;
+}
+
+/**
+ * Convert a Markdown page body to HTML
+ * @param {string} markdown
+ * @returns {string} HTML (one block per line)
+ */
+function markdownToHtml(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let paragraph = [];
+    let blankRun = 0;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`${PARAGRAPH_OPEN}${paragraph.map(renderInline).join('<br>')}</p>`);
+            paragraph = [];
+        }
+    };
+    // Blank lines: the first one separates blocks, each extra one is an empty line on the page
+    const flushBlankLines = () => {
+        for (let n = 1; n < blankRun; n++) blocks.push(EMPTY_PARAGRAPH);
+        blankRun = 0;
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const trimmed = line.trim();
+
+        if (trimmed === '') {
+            flushParagraph();
+            if (blocks.length > 0) blankRun++;
+            continue;
+        }
+
+        // Fenced block: ```html / ```raw pass through, anything else is code
+        const fence = trimmed.match(/^(```+|~~~+)\s*([\w-]*)\s*$/);
+        if (fence) {
+            flushParagraph();
+            flushBlankLines();
+            const body = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                body.push(lines[i]);
+                i++;
+            }
+            const lang = fence[2].toLowerCase();
+            if (lang === 'html' || lang === 'raw') {
+                blocks.push(body.join('\n'));
+            } else {
+                blocks.push(`<pre><code>${escapeHtml(body.join('\n'))}</code></pre>`);
+            }
+            continue;
+        }
+
+        // Comment on its own line(s): ONLY-VIEW / INCLUDE directives stay untouched
+        if (trimmed.startsWith('<!--')) {
+            const body = [line];
+            while (!body[body.length - 1].includes('-->') && i + 1 < lines.length) {
+                i++;
+                body.push(lines[i]);
+            }
+            const joined = body.join('\n');
+            const end = joined.indexOf('-->') + 3;
+            if (end >= 3 && joined.slice(end).trim() === '') {
+                flushParagraph();
+                flushBlankLines();
+                blocks.push(joined.trim());
+                continue;
+            }
+            // Comment followed by text on the same line: treat as paragraph text
+            i -= body.length - 1;
+        }
+
+        // Raw HTML block: starts with a block-level tag, runs to the next blank line
+        if (paragraph.length === 0 && BLOCK_TAG_REGEX.test(trimmed)) {
+            flushBlankLines();
+            const body = [line];
+            while (i + 1 < lines.length && lines[i + 1].trim() !== '') {
+                i++;
+                body.push(lines[i]);
+            }
+            blocks.push(body.join('\n'));
+            continue;
+        }
+
+        const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            flushParagraph();
+            flushBlankLines();
+            const size = HEADING_SIZES[heading[1].length];
+            blocks.push(`${PARAGRAPH_OPEN}<span style="font-size: ${size}px;"><b>${renderInline(heading[2])}</b></span></p>`);
+            continue;
+        }
+
+        if (/^(?:-{3,}|\*{3,}|_{3,})$/.test(trimmed.replace(/\s/g, ''))) {
+            flushParagraph();
+            flushBlankLines();
+            blocks.push('<hr>');
+            continue;
+        }
+
+        if (paragraph.length === 0) flushBlankLines();
+        paragraph.push(trimmed);
+    }
+    flushParagraph();
+
+    return blocks.join('\n') + '\n';
+}
+
+module.exports = {
+    markdownToHtml
+};
@@ -1,64 +1,468 @@
 /**
  * HTML minifier for upload.
  *
+ * Walks the HTML as tokens (tags, text, comments, raw-text element bodies)
+ * instead of regex passes over the whole string, so each rule only applies
+ * where it is safe.
+ *
  * Goals (safe by default, no class renaming because the design system
  * depends on those identifiers):
  *   - Strip HTML comments, except functional ONLY-VIEW-* directives
- *   - Strip CSS comments inside <style> blocks
- *   - Collapse whitespace inside CSS (whitespace-insensitive language)
- *   - Collapse runs of insignificant whitespace BETWEEN tags
+ *   - Minify <style> blocks: comments, whitespace (strings kept as written)
+ *   - Drop whitespace-only runs between block-level tags; collapse other
+ *     whitespace-only runs between tags to one character (renders the same)
+ *   - Optionally minify inline <script> bodies (`minify.scripts`)
  *
- * Explicitly out of scope (would break things):
- *   - Touching text content inside elements (Korean story body)
- *   - Touching inline JS bodies (onclick handlers, onload init)
+ * Never touched:
+ *   - Text content inside elements, whitespace included (Korean story body)
+ *   - <pre>, <textarea> and elements with white-space: pre/pre-wrap/pre-line/
+ *     break-spaces (inline style, or a class/id/tag rule in the page's <style>)
+ *   - Tags and attributes (onclick handlers, inline styles) as written
  *   - Renaming classes/ids
+ *
+ * test/minify/ holds input/expected pairs for these rules (npm test).
+ *
+ * labyrinth.json `minify`:
+ *   true (default)            as above, scripts untouched
+ *   { "scripts": true }       also minify inline <script> bodies
+ *   false                     upload HTML as written
+ */
+
+const MINIFY_DEFAULTS = {
+    scripts: false
+};
+
+// Inter-element whitespace next to these renders as nothing (not <img>,
+// <audio>, <video>, <iframe>: they sit inline in the text)
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'br', 'center', 'col', 'colgroup',
+    'dd', 'details', 'dialog', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'head', 'header', 'hr', 'html', 'legend', 'li', 'link',
+    'main', 'meta', 'nav', 'ol', 'option', 'p', 'pre', 'script', 'section', 'source', 'style', 'summary', 'table',
+    'tbody', 'td', 'tfoot', 'th', 'thead', 'title', 'tr', 'ul'
+]);
+
+// Bodies that are not markup: copied (or minified as code) until the close tag
+const RAW_TEXT_TAGS = ['script', 'style', 'textarea'];
+
+// Elements whose text keeps its whitespace by default
+const PRESERVE_TAGS = new Set(['pre', 'textarea', 'listing', 'plaintext', 'xmp']);
+
+const VOID_TAGS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+
+const PRESERVING_WHITE_SPACE = /white-space\s*:\s*(?:pre|pre-wrap|pre-line|break-spaces)\b/i;
+
+// HTML whitespace only: U+00A0 (&nbsp; typed directly) is content
+const HTML_SPACE_ONLY = /^[ \t\n\r\f]*$/;
+
+// ============================================================
+// CSS
+// ============================================================
+
+/**
+ * Whether a block opened after this prelude holds rules (selectors) rather
+ * than declarations
+ * @param {string} prelude - Text before "{"
+ * @returns {boolean}
  */
+function opensRuleBlock(prelude) {
+    return /^@(?:media|supports|document|layer|container|keyframes|-webkit-keyframes|-moz-keyframes)\b/i.test(prelude.trim());
+}
 
 /**
- * Minify a CSS source string: remove /* *\/ comments and collapse
- * whitespace. Keep string-literal contents untouched.
+ * Minify a CSS source string: remove comments and collapse whitespace.
+ * Strings are copied as written. Spaces around ":" are only removed inside
+ * declarations (in selectors "a :hover" differs from "a:hover"), and around
+ * "+", "~", ">" only in selectors (calc() needs them).
+ * @param {string} css
+ * @returns {string}
  */
 function minifyCss(css) {
-    let out = css;
-    // Strip /* ... */ comments (non-greedy)
-    out = out.replace(/\/\*[\s\S]*?\*\//g, '');
-    // Collapse all whitespace runs to a single space
-    out = out.replace(/\s+/g, ' ');
-    // Remove spaces around CSS punctuation that are insignificant
-    out = out.replace(/\s*([{}:;,>+~])\s*/g, '$1');
+    let out = '';
+    let prelude = '';
+    // true: the current block holds declarations
+    const blocks = [];
+    const inDeclarations = () => blocks.length > 0 && blocks[blocks.length - 1];
+    let pendingSpace = false;
+
+    const removable = (ch) => {
+        if ('{};,'.includes(ch)) return true;
+        if (ch === ':') return inDeclarations();
+        if ('>+~'.includes(ch)) return !inDeclarations();
+        return false;
+    };
+    const emit = (text) => {
+        if (pendingSpace && out && !removable(out[out.length - 1]) && !removable(text[0])) {
+            out += ' ';
+            prelude += ' ';
+        }
+        pendingSpace = false;
+        out += text;
+        prelude += text;
+    };
+
+    for (let i = 0; i < css.length; i++) {
+        const ch = css[i];
+        if (ch === '/' && css[i + 1] === '*') {
+            const close = css.indexOf('*/', i + 2);
+            i = close < 0 ? css.length : close + 1;
+            pendingSpace = true;
+        } else if (ch === '"' || ch === "'") {
+            let j = i + 1;
+            while (j < css.length && css[j] !== ch && css[j] !== '\n') j += css[j] === '\\' ? 2 : 1;
+            emit(css.slice(i, j + 1));
+            i = j;
+        } else if (/\s/.test(ch)) {
+            pendingSpace = true;
+        } else if (ch === '{') {
+            blocks.push(!opensRuleBlock(prelude));
+            pendingSpace = false;
+            out += ch;
+            prelude = '';
+        } else if (ch === '}') {
+            if (out.endsWith(';')) out = out.slice(0, -1);
+            blocks.pop();
+            pendingSpace = false;
+            out += ch;
+            prelude = '';
+        } else if (ch === ';') {
+            pendingSpace = false;
+            out += ch;
+            prelude = '';
+        } else {
+            emit(ch);
+        }
+    }
+    return out.trim();
+}
+
+// ============================================================
+// JavaScript (optional)
+// ============================================================
+
+// After these keywords a "/" starts a regex literal, not a division
+const REGEX_PRECEDING_KEYWORDS = new Set([
+    'return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else',
+    'yield', 'await'
+]);
+
+// A line break after/before these can't end a statement, so it can go
+const NEWLINE_FREE_AFTER = '{;,([:=&|?*%<>!~^';
+const NEWLINE_FREE_BEFORE = '});,]:?.';
+
+const isIdentChar = (ch) => /[\w$\u0080-\uFFFF]/.test(ch || '');
+
+/**
+ * Minify an inline script conservatively: remove comments and collapse
+ * whitespace. Strings, template literals and regex literals are copied as
+ * written, and a line break is kept wherever automatic semicolon insertion
+ * could depend on it.
+ * @param {string} js
+ * @returns {string}
+ */
+function minifyJs(js) {
+    let out = '';
+    // Last significant token kind: decides whether "/" starts a regex
+    let lastToken = '';
+    let pending = '';
+
+    const flushSpace = (next) => {
+        if (!pending || !out) { pending = ''; return; }
+        const prev = out[out.length - 1];
+        if (pending === '\n') {
+            // A newline can end a statement (x++ / return); only drop it where none can end
+            if (!NEWLINE_FREE_AFTER.includes(prev) && !NEWLINE_FREE_BEFORE.includes(next)) out += '\n';
+        } else if ((isIdentChar(prev) && isIdentChar(next)) ||
+            ('+-/'.includes(prev) && prev === next) ||
+            (/\d/.test(prev) && next === '.')) {
+            // "a b", "a - -b", "a / /re/", "1 .toString()"
+            out += ' ';
+        }
+        pending = '';
+    };
+    const emit = (text, kind) => {
+        flushSpace(text[0]);
+        out += text;
+        lastToken = kind;
+    };
+
+    for (let i = 0; i < js.length; i++) {
+        const ch = js[i];
+        const next = js[i + 1];
+
+        if (ch === '/' && next === '/') {
+            const close = js.indexOf('\n', i);
+            i = (close < 0 ? js.length : close) - 1;
+            pending = pending || ' ';
+        } else if (ch === '/' && next === '*') {
+            const close = js.indexOf('*/', i + 2);
+            const comment = js.slice(i, close < 0 ? js.length : close + 2);
+            i = close < 0 ? js.length : close + 1;
+            pending = comment.includes('\n') || pending === '\n' ? '\n' : ' ';
+        } else if (/\s/.test(ch)) {
+            pending = ch === '\n' || ch === '\r' || pending === '\n' ? '\n' : ' ';
+        } else if (ch === '"' || ch === "'") {
+            let j = i + 1;
+            while (j < js.length && js[j] !== ch && js[j] !== '\n') j += js[j] === '\\' ? 2 : 1;
+            emit(js.slice(i, j + 1), 'value');
+            i = j;
+        } else if (ch === '`') {
+            // Template literal, ${} expressions included, copied as written
+            let j = i + 1;
+            let depth = 0;
+            while (j < js.length) {
+                if (js[j] === '\\') { j += 2; continue; }
+                if (depth === 0 && js[j] === '`') break;
+                if (js[j] === '$' && js[j + 1] === '{') { depth++; j += 2; continue; }
+                if (depth > 0 && js[j] === '}') depth--;
+                j++;
+            }
+            emit(js.slice(i, j + 1), 'value');
+            i = j;
+        } else if (ch === '/' && lastToken !== 'value') {
+            // Regex literal: up to the closing "/" outside a character class, plus flags
+            let j = i + 1;
+            let inClass = false;
+            while (j < js.length && js[j] !== '\n') {
+                if (js[j] === '\\') { j += 2; continue; }
+                if (js[j] === '[') inClass = true;
+                else if (js[j] === ']') inClass = false;
+                else if (js[j] === '/' && !inClass) break;
+                j++;
+            }
+            j++;
+            while (j < js.length && isIdentChar(js[j])) j++;
+            emit(js.slice(i, j), 'value');
+            i = j - 1;
+        } else if (isIdentChar(ch)) {
+            let j = i;
+            while (j < js.length && isIdentChar(js[j])) j++;
+            const word = js.slice(i, j);
+            emit(word, REGEX_PRECEDING_KEYWORDS.has(word) ? 'keyword' : 'value');
+            i = j - 1;
+        } else {
+            emit(ch, ch === ')' || ch === ']' || ch === '}' ? 'value' : 'punct');
+        }
+    }
     return out.trim();
 }
 
+// ============================================================
+// HTML
+// ============================================================
+
+/**
+ * Split HTML into tokens
+ * @param {string} html
+ * @returns {{ type: 'text'|'comment'|'tag'|'raw', text: string, name?: string, closing?: boolean }[]}
+ *   raw: body of a script/style/textarea element
+ */
+function tokenizeHtml(html) {
+    const tokens = [];
+    let pos = 0;
+    let textStart = 0;
+    const flushText = (end) => {
+        if (end > textStart) tokens.push({ type: 'text', text: html.slice(textStart, end) });
+    };
+
+    while (pos < html.length) {
+        const lt = html.indexOf('<', pos);
+        if (lt < 0) break;
+
+        if (html.startsWith('<!--', lt)) {
+            flushText(lt);
+            const close = html.indexOf('-->', lt + 4);
+            const end = close < 0 ? html.length : close + 3;
+            tokens.push({ type: 'comment', text: html.slice(lt, end) });
+            pos = textStart = end;
+            continue;
+        }
+
+        const open = /^<(\/?)([a-zA-Z][\w:-]*)/.exec(html.slice(lt, lt + 64));
+        if (!open) {
+            pos = lt + 1;
+            continue;
+        }
+
+        // Tag end: the first ">" outside quoted attribute values
+        let end = lt + open[0].length;
+        let quote = null;
+        for (; end < html.length; end++) {
+            const ch = html[end];
+            if (quote) {
+                if (ch === quote) quote = null;
+            } else if (ch === '"' || ch === "'") {
+                quote = ch;
+            } else if (ch === '>') {
+                break;
+            }
+        }
+        end = Math.min(end + 1, html.length);
+
+        flushText(lt);
+        const name = open[2].toLowerCase();
+        const closing = open[1] === '/';
+        tokens.push({ type: 'tag', text: html.slice(lt, end), name, closing });
+        pos = textStart = end;
+
+        if (!closing && RAW_TEXT_TAGS.includes(name)) {
+            const closeMatch = new RegExp(`</${name}[\\s>/]`, 'i').exec(html.slice(pos));
+            const bodyEnd = closeMatch ? pos + closeMatch.index : html.length;
+            if (bodyEnd > pos) tokens.push({ type: 'raw', text: html.slice(pos, bodyEnd), name });
+            pos = textStart = bodyEnd;
+        }
+    }
+    flushText(html.length);
+    return tokens;
+}
+
+/**
+ * Class names, ids and tag names that page <style> rules give a preserving
+ * white-space value
+ * @param {object[]} tokens
+ * @returns {{ classes: Set<string>, ids: Set<string>, tags: Set<string> }}
+ */
+function collectPreservingSelectors(tokens) {
+    const found = { classes: new Set(), ids: new Set(), tags: new Set() };
+    for (const token of tokens) {
+        if (token.type !== 'raw' || token.name !== 'style') continue;
+        const css = token.text.replace(/\/\*[\s\S]*?\*\//g, '');
+        const ruleRegex = /([^{}]+)\{([^{}]*)\}/g;
+        let rule;
+        while ((rule = ruleRegex.exec(css)) !== null) {
+            if (!PRESERVING_WHITE_SPACE.test(rule[2])) continue;
+            // The last compound selector of each selector is the styled element
+            for (const selector of rule[1].split(',')) {
+                const compound = selector.trim().split(/[\s>+~]+/).pop() || '';
+                for (const m of compound.matchAll(/\.([\w-]+)/g)) found.classes.add(m[1]);
+                for (const m of compound.matchAll(/#([\w-]+)/g)) found.ids.add(m[1]);
+                const tag = compound.match(/^[a-zA-Z][\w-]*/);
+                if (tag) found.tags.add(tag[0].toLowerCase());
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * Whether an opening tag makes its contents keep their whitespace
+ * @param {object} token - Tag token
+ * @param {object} selectors - Result of collectPreservingSelectors
+ * @returns {boolean}
+ */
+function preservesWhitespace(token, selectors) {
+    if (PRESERVE_TAGS.has(token.name) || selectors.tags.has(token.name)) return true;
+    const attr = (name) => {
+        const m = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(token.text);
+        return m ? (m[1] ?? m[2] ?? m[3]) : '';
+    };
+    if (PRESERVING_WHITE_SPACE.test(attr('style'))) return true;
+    if (attr('class').split(/\s+/).some(c => selectors.classes.has(c))) return true;
+    return selectors.ids.has(attr('id'));
+}
+
+/**
+ * Normalize a minify option value
+ * @param {boolean|object|undefined} value - labyrinth.json `minify`
+ * @returns {{ scripts: boolean }|null} null when minification is off
+ */
+function normalizeMinifyOptions(value) {
+    if (value === false) return null;
+    if (!value || typeof value !== 'object') return { ...MINIFY_DEFAULTS };
+    return { ...MINIFY_DEFAULTS, ...value };
+}
+
+/**
+ * Validate a minify option value
+ * @param {*} value
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateMinifyOptions(value) {
+    if (value === undefined || typeof value === 'boolean') return null;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'minify는 true/false 또는 객체여야 합니다.';
+    }
+    if (value.scripts !== undefined && typeof value.scripts !== 'boolean') {
+        return 'minify.scripts는 true/false여야 합니다.';
+    }
+    return null;
+}
+
 /**
  * Minify an HTML document for upload.
  * @param {string} html
+ * @param {{ scripts?: boolean }|null} [options] - normalizeMinifyOptions result; null leaves html as is
  * @returns {string}
  */
-function minifyHtml(html) {
-    if (!html || typeof html !== 'string') return html;
-    let result = html;
-
-    // 1. Strip HTML comments, preserving ONLY-VIEW directives which the
-    //    site interprets (they are not really comments at runtime).
-    result = result.replace(/<!--([\s\S]*?)-->/g, (match, body) => {
-        const trimmed = body.trim();
-        if (/^ONLY-VIEW-/.test(trimmed)) return match;
-        return '';
-    });
+function minifyHtml(html, options = MINIFY_DEFAULTS) {
+    if (!html || typeof html !== 'string' || !options) return html;
 
-    // 2. Minify each <style> block.
-    result = result.replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi,
-        (match, open, css, close) => open + minifyCss(css) + close);
+    // Comments other than ONLY-VIEW directives go first, so the text around
+    // them merges and collapses as one run
+    const tokens = [];
+    for (const token of tokenizeHtml(html)) {
+        if (token.type === 'comment' && !/^<!--\s*ONLY-VIEW-/.test(token.text)) continue;
+        const last = tokens[tokens.length - 1];
+        if (token.type === 'text' && last && last.type === 'text') {
+            last.text += token.text;
+        } else {
+            tokens.push({ ...token });
+        }
+    }
 
-    // 3. Collapse runs of whitespace BETWEEN tags. A single newline/space
-    //    between tags is rendered the same as zero, so we collapse runs
-    //    of 2+ whitespace characters to nothing.
-    //    We do NOT touch whitespace that sits inside text content
-    //    (anything that does not start right after '>' and end right
-    //    before '<').
-    result = result.replace(/>\s{2,}</g, '><');
+    const selectors = collectPreservingSelectors(tokens);
+    // Open elements: { name, preserve }
+    const stack = [];
+    const preserving = () => stack.some(e => e.preserve);
+
+    // Neighbors of whitespace-only text, looking past kept comments and the
+    // whitespace around them
+    const isBlockBoundary = (token) => !token || (token.type === 'tag' && BLOCK_TAGS.has(token.name)) || token.type === 'raw';
+    const neighbor = (i, step) => {
+        let j = i + step;
+        while (tokens[j] && (tokens[j].type === 'comment' || (tokens[j].type === 'text' && HTML_SPACE_ONLY.test(tokens[j].text)))) {
+            j += step;
+        }
+        return tokens[j];
+    };
+
+    let out = '';
+    tokens.forEach((token, i) => {
+        if (token.type === 'tag') {
+            if (token.closing) {
+                const index = stack.map(e => e.name).lastIndexOf(token.name);
+                if (index >= 0) stack.length = index;
+            } else if (!VOID_TAGS.has(token.name) && !token.text.endsWith('/>')) {
+                stack.push({ name: token.name, preserve: preservesWhitespace(token, selectors) });
+            }
+            out += token.text;
+        } else if (token.type === 'raw') {
+            if (token.name === 'style') out += minifyCss(token.text);
+            else if (token.name === 'script' && options.scripts) out += minifyJs(token.text);
+            else out += token.text;
+        } else if (token.type === 'comment') {
+            out += token.text;
+        } else if (!preserving() && HTML_SPACE_ONLY.test(token.text)) {
+            if (!isBlockBoundary(neighbor(i, -1)) && !isBlockBoundary(neighbor(i, 1))) {
+                out += token.text.includes('\n') ? '\n' : ' ';
+            }
+        } else {
+            out += token.text;
+        }
+    });
 
-    return result;
+    return out;
 }
 
-module.exports = { minifyHtml, minifyCss };
+module.exports = {
+    minifyHtml,
+    minifyCss,
+    minifyJs,
+    normalizeMinifyOptions,
+    validateMinifyOptions,
+    // Shared with obfuscate.js
+    tokenizeHtml,
+    VOID_TAGS
+};
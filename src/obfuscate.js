@@ -0,0 +1,218 @@
+/**
+ * HTML obfuscation for upload (opt-in, runs after minifyHtml).
+ *
+ * Keeps puzzle data out of plain sight in view-source and DevTools. It is not
+ * encryption: everything the browser runs can still be decoded by a
+ * determined player.
+ *
+ *   - Inline <script> bodies are base64-encoded and run through a small
+ *     loader that inserts the decoded script in their place
+ *   - Text inside elements with the marker class (default "obfuscate") is
+ *     written as numeric entities, or decoded by a script at load time
+ *   - Authoring-only attributes (default data-author-*) are removed
+ *   - Comments other than ONLY-VIEW directives are removed (minify already
+ *     does this; repeated here so `minify: false` doesn't leak them)
+ *
+ * Never touched:
+ *   - ONLY-VIEW directives and tag attributes (onclick="goPage(...)")
+ *   - Scripts that call goPage(), load a src, or aren't classic JavaScript
+ *     (type="module", JSON, templates)
+ *
+ * Output depends only on the input, so content hashes stay stable between
+ * runs.
+ *
+ * labyrinth.json `obfuscate`:
+ *   false (default)                         upload as minified
+ *   true                                    defaults below
+ *   { "scripts": false,                     leave inline scripts as written
+ *     "class": "secret",                    marker class for text
+ *     "text": "script",                     "entities" (default) or "script"
+ *     "strip": ["data-note", "data-dev-*"] }  attributes to remove (* = prefix)
+ */
+
+const { tokenizeHtml, VOID_TAGS } = require('./minify');
+
+const OBFUSCATE_DEFAULTS = {
+    scripts: true,
+    class: 'obfuscate',
+    text: 'entities',
+    strip: ['data-author-*']
+};
+
+const TEXT_MODES = ['entities', 'script'];
+
+const JS_TYPES = ['', 'text/javascript', 'application/javascript', 'application/x-javascript', 'text/ecmascript'];
+
+// Elements that can't hold a <script> in place of text (script text mode)
+const NO_SCRIPT_PARENTS = new Set(['title', 'option', 'select', 'optgroup', 'table', 'tbody', 'thead', 'tfoot', 'tr', 'colgroup']);
+
+// Attribute after the tag name: leading space, name, optional value
+const ATTRIBUTE_REGEX = /(\s*)([^\s"'>/=]+)(\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]*))?|[\s\S]/y;
+
+/**
+ * Base64 of the UTF-8 bytes, and the browser expression that decodes it
+ * @param {string} text
+ * @returns {string} JavaScript expression evaluating to text
+ */
+function decodeExpression(text) {
+    const base64 = Buffer.from(text, 'utf8').toString('base64');
+    return `new TextDecoder().decode(Uint8Array.from(atob("${base64}"),function(c){return c.charCodeAt(0)}))`;
+}
+
+/**
+ * Read and optionally drop attributes of an opening tag
+ * @param {string} tagText - Whole tag, "<name ...>"
+ * @param {Function} shouldStrip - (lowercase attribute name) => boolean
+ * @returns {{ text: string, attrs: Map<string, string> }} text: tag without the stripped attributes
+ */
+function processAttributes(tagText, shouldStrip) {
+    const head = /^<[a-zA-Z][\w:-]*/.exec(tagText)[0];
+    const attrs = new Map();
+    let text = head;
+    ATTRIBUTE_REGEX.lastIndex = head.length;
+    let match;
+    while (ATTRIBUTE_REGEX.lastIndex < tagText.length && (match = ATTRIBUTE_REGEX.exec(tagText)) !== null) {
+        if (match[2] === undefined) {
+            text += match[0];
+            continue;
+        }
+        const name = match[2].toLowerCase();
+        const value = match[3] ? match[3].replace(/^\s*=\s*/, '').replace(/^(["'])([\s\S]*)\1$/, '$2') : '';
+        if (!attrs.has(name)) attrs.set(name, value);
+        if (!shouldStrip(name)) text += match[0];
+    }
+    return { text, attrs };
+}
+
+/**
+ * Text as numeric character references. Existing entities are kept as
+ * written, and whitespace stays as is.
+ * @param {string} text
+ * @returns {string}
+ */
+function encodeEntities(text) {
+    return text.replace(/(&(?:#\d+|#x[0-9a-f]+|\w+);)|([^\s&]+|&)/gi, (match, entity, plain) => {
+        if (entity) return entity;
+        return Array.from(plain, ch => `&#${ch.codePointAt(0)};`).join('');
+    });
+}
+
+/**
+ * Whether an inline script can be replaced by an encoded loader
+ * @param {Map<string, string>} attrs - Script tag attributes
+ * @param {string} body
+ * @returns {boolean}
+ */
+function canEncodeScript(attrs, body) {
+    if (attrs.has('src') || !body.trim()) return false;
+    if (!JS_TYPES.includes((attrs.get('type') || '').trim().toLowerCase())) return false;
+    // The site reads page links and ONLY-VIEW directives from the source
+    return !/\bgoPage\s*\(|ONLY-VIEW-/.test(body);
+}
+
+/**
+ * Normalize an obfuscate option value
+ * @param {boolean|object|undefined} value - labyrinth.json `obfuscate`
+ * @returns {{ scripts: boolean, class: string, text: string, strip: string[] }|null} null when off
+ */
+function normalizeObfuscateOptions(value) {
+    if (!value) return null;
+    if (typeof value !== 'object') return { ...OBFUSCATE_DEFAULTS };
+    return { ...OBFUSCATE_DEFAULTS, ...value };
+}
+
+/**
+ * Validate an obfuscate option value
+ * @param {*} value
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateObfuscateOptions(value) {
+    if (value === undefined || typeof value === 'boolean') return null;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'obfuscate는 true/false 또는 객체여야 합니다.';
+    }
+    const unknown = Object.keys(value).find(key => !(key in OBFUSCATE_DEFAULTS));
+    if (unknown) {
+        return `obfuscate에 알 수 없는 항목: ${unknown} (허용: ${Object.keys(OBFUSCATE_DEFAULTS).join(', ')})`;
+    }
+    if (value.scripts !== undefined && typeof value.scripts !== 'boolean') {
+        return 'obfuscate.scripts는 true/false여야 합니다.';
+    }
+    if (value.class !== undefined && (typeof value.class !== 'string' || !/^[\w-]+$/.test(value.class))) {
+        return 'obfuscate.class는 클래스 이름 하나여야 합니다.';
+    }
+    if (value.text !== undefined && !TEXT_MODES.includes(value.text)) {
+        return `obfuscate.text는 ${TEXT_MODES.map(m => `"${m}"`).join(' 또는 ')}이어야 합니다.`;
+    }
+    if (value.strip !== undefined) {
+        if (!Array.isArray(value.strip) || !value.strip.every(s => typeof s === 'string' && /^data-[\w-]*\*?$/i.test(s))) {
+            return 'obfuscate.strip은 data- 속성 이름 배열이어야 합니다. (예: ["data-note", "data-dev-*"])';
+        }
+    }
+    return null;
+}
+
+/**
+ * Obfuscate HTML for upload
+ * @param {string} html - Usually minifyHtml output
+ * @param {object|null} options - normalizeObfuscateOptions result; null leaves html as is
+ * @returns {string}
+ */
+function obfuscateHtml(html, options) {
+    if (!html || typeof html !== 'string' || !options) return html;
+
+    const strip = options.strip.map(s => s.toLowerCase());
+    const shouldStrip = (name) => strip.some(s => (s.endsWith('*') ? name.startsWith(s.slice(0, -1)) : name === s));
+
+    // Open elements: { name, marked }
+    const stack = [];
+    let scriptAttrs = null;
+    let out = '';
+
+    for (const token of tokenizeHtml(html)) {
+        if (token.type === 'comment') {
+            if (/^<!--\s*ONLY-VIEW-/.test(token.text)) out += token.text;
+        } else if (token.type === 'tag') {
+            if (token.closing) {
+                const index = stack.map(e => e.name).lastIndexOf(token.name);
+                if (index >= 0) stack.length = index;
+                out += token.text;
+                continue;
+            }
+            const { text, attrs } = processAttributes(token.text, shouldStrip);
+            if (!VOID_TAGS.has(token.name) && !token.text.endsWith('/>')) {
+                const marked = (attrs.get('class') || '').split(/\s+/).includes(options.class);
+                stack.push({ name: token.name, marked });
+            }
+            if (token.name === 'script') scriptAttrs = attrs;
+            out += text;
+        } else if (token.type === 'raw') {
+            if (token.name === 'script' && options.scripts && canEncodeScript(scriptAttrs, token.text)) {
+                out += '(function(s){var n=document.createElement("script");'
+                    + `n.text=${decodeExpression(token.text)};`
+                    + 's.parentNode.insertBefore(n,s);n.remove();s.remove()})(document.currentScript)';
+            } else {
+                out += token.text;
+            }
+        } else if (stack.some(e => e.marked) && token.text.trim()) {
+            const parent = stack[stack.length - 1];
+            if (options.text === 'script' && !NO_SCRIPT_PARENTS.has(parent.name)) {
+                out += '<script>(function(s){'
+                    + `s.insertAdjacentHTML("beforebegin",${decodeExpression(token.text)});`
+                    + 's.remove()})(document.currentScript)</script>';
+            } else {
+                out += encodeEntities(token.text);
+            }
+        } else {
+            out += token.text;
+        }
+    }
+
+    return out;
+}
+
+module.exports = {
+    obfuscateHtml,
+    normalizeObfuscateOptions,
+    validateObfuscateOptions
+};
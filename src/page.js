@@ -7,6 +7,25 @@ const { log } = require('./logger');
 
 const BASE_URL = 'https://www.thelabyrinth.co.kr';
 
+/**
+ * Ending selector (select[name="endYn"]) values
+ */
+const ENDING_VALUES = {
+    none: 'N',
+    good: 'Y',
+    bad: 'B'
+};
+
+/**
+ * header_display string to form value mapping (radio group on the page form)
+ */
+const HEADER_DISPLAY_SELECTOR = 'input[name="titleShowType"]';
+const HEADER_DISPLAY_MAP = {
+    'labyrinth_title': '0',
+    'page_title': '1',
+    'none': '2'
+};
+
 /**
  * Navigate to page editor (create new page)
  * @param {object} page - Puppeteer page
@@ -159,8 +178,11 @@ async function setEditorContent(page, html) {
  * Fill page form fields
  * @param {object} page - Puppeteer page
  * @param {object} data - Page data
+ * @returns {Promise<string[]>} Fields that could not be applied (caller must not record the page as synced)
  */
 async function fillPageForm(page, data) {
+    const failedFields = [];
+
     // Title - clear and type
     if (data.title) {
         const titleSelector = '#questTitle, input[name="questTitle"]';
@@ -214,11 +236,43 @@ async function fillPageForm(page, data) {
         }
     }
 
-    // Ending page - use page.select()
+    // Ending page - use page.select(); bad endings are a separate option.
+    // page.select() silently selects nothing for a value the form doesn't offer,
+    // so check the option exists and that it actually got selected.
     if (data.isEnding !== undefined) {
         const endingSelect = await page.$('select[name="endYn"]');
         if (endingSelect) {
-            await page.select('select[name="endYn"]', data.isEnding ? 'Y' : 'N');
+            const endingType = !data.isEnding ? 'none' : data.isBadend ? 'bad' : 'good';
+            const endingValue = ENDING_VALUES[endingType];
+            const options = await endingSelect.evaluate(el => [...el.options].map(o => o.value));
+            const selected = options.includes(endingValue)
+                ? await page.select('select[name="endYn"]', endingValue)
+                : [];
+            if (!selected.includes(endingValue)) {
+                log.fail(`    엔딩 설정 실패: endYn에 "${endingValue}" 항목이 없습니다 (있는 값: ${options.join(', ')})`);
+                failedFields.push(endingType === 'bad' ? 'is_badend' : 'is_ending');
+            }
+        } else if (data.isEnding) {
+            log.fail('    엔딩 설정 실패: select[name="endYn"]을 찾을 수 없습니다');
+            failedFields.push(data.isBadend ? 'is_badend' : 'is_ending');
+        }
+    }
+
+    // Header display - radio; left at the site default when not specified
+    if (data.headerDisplay) {
+        const radioValue = HEADER_DISPLAY_MAP[data.headerDisplay];
+        const radioSelector = `${HEADER_DISPLAY_SELECTOR}[value="${radioValue}"]`;
+        const radioEl = radioValue !== undefined ? await page.$(radioSelector) : null;
+        if (radioEl) {
+            const isChecked = await radioEl.evaluate(el => el.checked);
+            if (!isChecked) {
+                await radioEl.click();
+            }
+        }
+        const applied = radioEl ? await radioEl.evaluate(el => el.checked) : false;
+        if (!applied) {
+            log.fail(`    header_display 설정 실패: ${radioSelector} 항목을 찾을 수 없습니다 (${data.headerDisplay})`);
+            failedFields.push('header_display');
         }
     }
 
@@ -267,6 +321,8 @@ async function fillPageForm(page, data) {
             throw new Error('에디터 콘텐츠 설정에 실패했습니다');
         }
     }
+
+    return failedFields;
 }
 
 
@@ -601,7 +657,9 @@ async function getPageList(page, labyrinthId) {
 
         rows.forEach(row => {
             const titleCell = row.querySelector('td a, .title a');
-            const idMatch = titleCell?.getAttribute('onclick')?.match(/questSeqn=(\d+)/);
+            // The list links either carry questSeqn=N or call fn_click(N)
+            const onclick = titleCell?.getAttribute('onclick') || '';
+            const idMatch = onclick.match(/questSeqn=(\d+)/) || onclick.match(/fn_click\(['"]?(\d+)['"]?\)/);
 
             if (idMatch) {
                 result.push({
@@ -720,6 +778,59 @@ async function getParentConnections(page) {
     });
 }
 
+/**
+ * Read the current state of a page from its edit screen
+ * @param {object} page - Puppeteer page (already on the page's edit screen)
+ * @returns {Promise<object>} { title, bgColor, isFirst, isEnding, isBadend, headerDisplay, hasAnswers, hint, content, source, answers }
+ */
+async function readPageForm(page) {
+    const fields = await page.evaluate((headerSelector, endingValues) => {
+        const value = (selector) => document.querySelector(selector)?.value ?? '';
+        const checked = (selector) => document.querySelector(selector)?.checked === true;
+
+        // Visible answer rows; the answerOpen/explanation row is the next sibling tr
+        const answers = [];
+        document.querySelectorAll('input.answer').forEach(input => {
+            const tr = input.closest('tr');
+            if (!tr || tr.style.display === 'none') return;
+            if (!input.value || input.value.trim() === '') return;
+            const openRow = tr.nextElementSibling;
+            answers.push({
+                answer: input.value,
+                public: openRow?.querySelector('input.answerOpen')?.checked === true,
+                explanation: openRow?.querySelector('textarea.answerExplain')?.value || ''
+            });
+        });
+
+        return {
+            title: value('#questTitle, input[name="questTitle"]'),
+            bgColor: value('#background, input[name="background"]'),
+            isFirst: checked('#firstYsno, input[name="firstYsno"]'),
+            isEnding: [endingValues.good, endingValues.bad].includes(value('select[name="endYn"]')),
+            isBadend: value('select[name="endYn"]') === endingValues.bad,
+            headerValue: document.querySelector(`${headerSelector}:checked`)?.value ?? null,
+            hasAnswers: value('#answerExistYn, select[name="answerExistYn"]') === 'Y',
+            hint: {
+                text: value('#hint, input[name="hint"]'),
+                enabled: checked('#hintcheck, input[name="hintcheck"]')
+            },
+            formContent: value('#quest'),
+            answers
+        };
+    }, HEADER_DISPLAY_SELECTOR, ENDING_VALUES);
+
+    // Prefer what the editor renders; the form textarea is the stored source
+    // and serves as a fallback while the editor is still loading.
+    await waitForEditor(page);
+    const editorContent = await getEditorContent(page);
+    const { formContent, headerValue, ...data } = fields;
+    data.headerDisplay = Object.keys(HEADER_DISPLAY_MAP).find(k => HEADER_DISPLAY_MAP[k] === headerValue) || null;
+    data.content = editorContent || formContent;
+    data.source = formContent;
+
+    return data;
+}
+
 /**
  * Delete a page
  * @param {object} page - Puppeteer page
@@ -777,6 +888,7 @@ module.exports = {
     setParentConnection,
     clearParentConnections,
     getParentConnections,
+    readPageForm,
     submitPageForm,
     getPageList,
     deletePage
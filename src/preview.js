@@ -0,0 +1,357 @@
+/**
+ * Preview Module
+ * Local HTTP server that plays a content folder the way the site does, so
+ * pages can be playtested without uploading.
+ *
+ * Emulated behavior:
+ *   - Page rendered on its background_color with the title header and hint
+ *   - Answer box routes via answers[].next (trimmed, exact match; aliases too)
+ *   - goPage('path') navigates to another page
+ *   - <!-- ONLY-VIEW-START ... --> ... <!-- ONLY-VIEW-END --> blocks are shown
+ *     only when every condition holds against the session's visit history:
+ *       IN=[a,b]    visited all of a, b
+ *       INOR=[a,b]  visited at least one of a, b
+ *       EX=[a,b]    visited none of a, b
+ *       EXOR=[a,b]  not visited at least one of a, b
+ *
+ * Routes:
+ *   GET  /                 → redirect to the start page
+ *   GET  /play/{page}      → render a page (and record the visit)
+ *   POST /play/{page}      → submit an answer
+ *   GET  /reset            → clear the visit history
+ *   GET  /assets/{file}    → image or audio file under the content folder
+ *
+ * Pages are loaded through the getPages callback on every request, so edits
+ * show up on reload without restarting the server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+const MIME_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.bmp': 'image/bmp',
+    '.svg': 'image/svg+xml',
+    '.mp3': 'audio/mpeg',
+    '.wav': 'audio/wav',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.m4a': 'audio/mp4'
+};
+
+// Never served under /assets/ even if renamed to a media extension
+const DENIED_FILES = ['account.json', 'session.json', 'labyrinth.json'];
+
+const SESSION_COOKIE = 'cipher_preview';
+
+const MAX_FORM_BODY = 64 * 1024;
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check one ONLY-VIEW condition against the visited pages
+ * @param {string} type - IN | INOR | EX | EXOR
+ * @param {string[]} pages - Page paths in the condition
+ * @param {Set<string>} visited
+ * @returns {boolean}
+ */
+function checkVisitCondition(type, pages, visited) {
+    switch (type) {
+        case 'IN': return pages.every(p => visited.has(p));
+        case 'INOR': return pages.some(p => visited.has(p));
+        case 'EX': return pages.every(p => !visited.has(p));
+        case 'EXOR': return pages.some(p => !visited.has(p));
+        default: return true;
+    }
+}
+
+/**
+ * Resolve ONLY-VIEW blocks: keep the body of blocks whose conditions all hold,
+ * drop the rest. Blocks without an END marker run to the end of the content.
+ * @param {string} html - Page HTML content
+ * @param {Set<string>} visited - Pages visited before this one
+ * @returns {string}
+ */
+function applyVisitConditions(html, visited) {
+    const blockRegex = /<!--\s*ONLY-VIEW-START\s+(.*?)\s*-->([\s\S]*?)(?:<!--\s*ONLY-VIEW-END\s*-->|$)/g;
+    return html.replace(blockRegex, (match, conditions, body) => {
+        for (const m of conditions.matchAll(/(IN|INOR|EX|EXOR)=\[([^\]]*)\]/g)) {
+            const pages = m[2].split(',').map(v => v.trim()).filter(Boolean);
+            if (!checkVisitCondition(m[1], pages, visited)) return '';
+        }
+        return body;
+    });
+}
+
+/**
+ * URL of a page in the preview server
+ * @param {string} name - Page path (e.g. page/start)
+ * @returns {string}
+ */
+function pageUrl(name) {
+    return '/play/' + name.split('/').map(encodeURIComponent).join('/');
+}
+
+/**
+ * Render a full preview page
+ * @param {string} name - Page path
+ * @param {{ html: string, json: object }} pageInfo - Page with assets already rewritten
+ * @param {Set<string>} visited - Pages visited before this one
+ * @param {string|null} message - Feedback after a wrong answer
+ * @returns {string}
+ */
+function renderPage(name, pageInfo, visited, message = null) {
+    const json = pageInfo.json;
+    const title = escapeHtml(json.title || name);
+    const bgColor = escapeHtml(json.background_color || '#000000');
+    const content = applyVisitConditions(pageInfo.html, visited);
+    const hint = json.hint && json.hint.enabled && json.hint.text
+        ? `<details class="hint"><summary>힌트</summary>${escapeHtml(json.hint.text)}</details>`
+        : '';
+
+    let answerBox = '';
+    if ((json.answers || []).length > 0) {
+        answerBox = `
+<form class="answer" method="post" action="${pageUrl(name)}">
+    <input type="text" name="answer" autocomplete="off" autofocus placeholder="정답">
+    <button type="submit">확인</button>
+</form>`;
+    } else if (json.is_ending) {
+        answerBox = `<p class="ending">${json.is_badend ? '배드엔딩' : '엔딩'}</p>`;
+    }
+
+    const visitedList = [...visited].map(p => `<a href="${pageUrl(p)}">${escapeHtml(p)}</a>`).join(' · ');
+
+    return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>${title} - 미리보기</title>
+<style>
+    body { margin: 0; background: ${bgColor}; color: #ffffff; font-family: sans-serif; }
+    .header { padding: 12px 16px; background: rgba(0, 0, 0, 0.5); font-size: 18px; font-weight: bold; }
+    .content { max-width: 800px; margin: 0 auto; padding: 16px; }
+    .content img { max-width: 100%; }
+    .hint, .answer, .ending, .message { max-width: 800px; margin: 16px auto; padding: 0 16px; text-align: center; }
+    .message { color: #ff6666; }
+    .answer input { padding: 6px; font-size: 16px; }
+    .answer button { padding: 6px 12px; font-size: 16px; }
+    .toolbar { margin-top: 48px; padding: 8px 16px; background: rgba(0, 0, 0, 0.7); font-size: 12px; color: #aaaaaa; }
+    .toolbar a { color: #aaaaaa; }
+</style>
+<script>
+    function goPage(path) { location.href = ${JSON.stringify('/play/')} + path; }
+</script>
+</head>
+<body>
+<div class="header">${title}</div>
+<div class="content">
+${content}
+</div>
+${hint}
+${message ? `<p class="message">${escapeHtml(message)}</p>` : ''}
+${answerBox}
+<div class="toolbar">
+    ${escapeHtml(name)} | <a href="/reset">처음부터</a> | 방문: ${visitedList || '(없음)'}
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Find the answer entry matching user input
+ * @param {Array} answers - answers[] from page JSON
+ * @param {string} input
+ * @returns {object|null}
+ */
+function matchAnswer(answers, input) {
+    const value = input.trim();
+    if (!value) return null;
+    return answers.find(ans => {
+        const texts = [ans.answer || '', ...(Array.isArray(ans.aliases) ? ans.aliases : [])];
+        return texts.some(text => text.trim() === value);
+    }) || null;
+}
+
+/**
+ * Read a urlencoded form body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<URLSearchParams>}
+ */
+function readFormBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        let tooLarge = false;
+        req.setEncoding('utf8');
+        req.on('data', chunk => {
+            if (tooLarge) return;
+            body += chunk;
+            if (body.length > MAX_FORM_BODY) {
+                tooLarge = true;
+                body = '';
+                reject(Object.assign(new Error('요청 본문이 너무 큽니다'), { statusCode: 413 }));
+            }
+        });
+        req.on('end', () => {
+            if (!tooLarge) resolve(new URLSearchParams(body));
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Start the preview server
+ * @param {object} options
+ * @param {string} options.contentPath - Absolute content folder path (served under /assets/)
+ * @param {string|null} options.startPage - Start page path
+ * @param {Function} options.getPages - () => { pageName: { html, json } } with assets under /assets/
+ * @param {number} [options.port=3000]
+ * @returns {Promise<http.Server>}
+ */
+function startPreviewServer({ contentPath, startPage, getPages, port = 3000 }) {
+    // Visit history per browser session: sessionId -> ordered Set of page paths
+    const sessions = new Map();
+
+    function getSession(req, res) {
+        const cookie = req.headers.cookie || '';
+        const m = cookie.match(new RegExp(`${SESSION_COOKIE}=([a-f0-9]+)`));
+        let id = m && sessions.has(m[1]) ? m[1] : null;
+        if (!id) {
+            id = crypto.randomBytes(8).toString('hex');
+            sessions.set(id, new Set());
+            res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${id}; Path=/; HttpOnly`);
+        }
+        return sessions.get(id);
+    }
+
+    function send(res, status, body, type = 'text/html; charset=utf-8') {
+        res.writeHead(status, { 'Content-Type': type });
+        res.end(body);
+    }
+
+    function redirect(res, location) {
+        res.writeHead(303, { Location: location });
+        res.end();
+    }
+
+    function serveAsset(res, relPath) {
+        const filePath = path.resolve(contentPath, relPath);
+        const base = path.basename(filePath).toLowerCase();
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()];
+        if (!type || DENIED_FILES.includes(base) || base.endsWith('.meta') ||
+            !filePath.startsWith(contentPath + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            send(res, 404, 'Not found', 'text/plain; charset=utf-8');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': type });
+        fs.createReadStream(filePath).pipe(res);
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        const pathname = decodeURIComponent(url.pathname);
+
+        if (pathname.startsWith('/assets/')) {
+            serveAsset(res, pathname.slice('/assets/'.length));
+            return;
+        }
+
+        const visited = getSession(req, res);
+
+        if (pathname === '/') {
+            if (!startPage) {
+                send(res, 404, '<p>labyrinth.json에 start_page가 없습니다.</p>');
+                return;
+            }
+            redirect(res, pageUrl(startPage));
+            return;
+        }
+
+        if (pathname === '/reset') {
+            visited.clear();
+            redirect(res, '/');
+            return;
+        }
+
+        if (!pathname.startsWith('/play/')) {
+            send(res, 404, 'Not found', 'text/plain; charset=utf-8');
+            return;
+        }
+
+        const name = pathname.slice('/play/'.length);
+        const pages = getPages();
+        const pageInfo = pages[name];
+        if (!pageInfo) {
+            send(res, 404, `<p>페이지를 찾을 수 없습니다: ${escapeHtml(name)}</p><p><a href="/">처음으로</a></p>`);
+            return;
+        }
+
+        if (req.method === 'POST') {
+            const form = await readFormBody(req);
+            const input = form.get('answer') || '';
+            const ans = matchAnswer(pageInfo.json.answers || [], input);
+            if (!ans) {
+                log.verbose(`  ${name}: 오답 "${input}"`);
+                send(res, 200, renderPage(name, pageInfo, visited, '정답이 아닙니다.'));
+                return;
+            }
+            if (!ans.next || !pages[ans.next]) {
+                send(res, 200, renderPage(name, pageInfo, visited, `정답이지만 연결된 페이지가 없습니다: ${ans.next || '(next 없음)'}`));
+                return;
+            }
+            log.verbose(`  ${name}: "${ans.answer}" → ${ans.next}`);
+            redirect(res, pageUrl(ans.next));
+            return;
+        }
+
+        // Conditions see the pages visited before this one, then this visit is recorded
+        const before = new Set([...visited].filter(p => p !== name));
+        send(res, 200, renderPage(name, pageInfo, before));
+        visited.delete(name);
+        visited.add(name);
+        log.verbose(`  방문: ${name}`);
+    }
+
+    const server = http.createServer((req, res) => {
+        handle(req, res).catch(error => {
+            log.error(`미리보기 오류: ${error.message}`);
+            if (!res.headersSent) {
+                res.setHeader('Connection', 'close');
+                send(res, error.statusCode || 500, `<pre>${escapeHtml(error.message)}</pre>`);
+            } else {
+                res.end();
+            }
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, '127.0.0.1', () => resolve(server));
+    });
+}
+
+module.exports = {
+    applyVisitConditions,
+    startPreviewServer
+};
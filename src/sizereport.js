@@ -0,0 +1,193 @@
+/**
+ * Size Report Module
+ * Measures what each page uploads: the rendered HTML, the same HTML after
+ * minifyHtml (and obfuscateHtml when enabled), answer explanations, and the bytes of the local assets it
+ * references. Pages over labyrinth.json `size_budget` are flagged:
+ *
+ *   "size_budget": 65536                       minified HTML bytes per page
+ *   "size_budget": { "html": 65536,            minified HTML bytes per page
+ *                    "assets": 5242880 }       referenced asset bytes per page
+ *
+ * The report is printed as a table (largest first) and written to
+ * .cache/size-report.json in the content folder, next to the other generated
+ * files, so a run never adds anything to the content files themselves.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { minifyHtml } = require('./minify');
+const { obfuscateHtml } = require('./obfuscate');
+
+const SIZE_REPORT_FILE = path.join('.cache', 'size-report.json');
+
+const BUDGET_KEYS = ['html', 'assets'];
+
+/**
+ * Resolve a budget value to per-kind limits (null = no limit)
+ * @param {number|object|undefined} value - labyrinth.json `size_budget`
+ * @returns {{ html: number|null, assets: number|null }}
+ */
+function normalizeSizeBudget(value) {
+    if (typeof value === 'number') return { html: value, assets: null };
+    const budget = { html: null, assets: null };
+    if (value && typeof value === 'object') {
+        for (const key of BUDGET_KEYS) {
+            if (typeof value[key] === 'number') budget[key] = value[key];
+        }
+    }
+    return budget;
+}
+
+/**
+ * Validate a budget value
+ * @param {*} value
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSizeBudget(value) {
+    if (value === undefined) return null;
+    const isBytes = (n) => Number.isInteger(n) && n > 0;
+    if (typeof value === 'number') {
+        return isBytes(value) ? null : 'size_budget은 양의 정수(바이트)여야 합니다.';
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return 'size_budget은 숫자(바이트) 또는 객체여야 합니다.';
+    }
+    for (const [key, bytes] of Object.entries(value)) {
+        if (!BUDGET_KEYS.includes(key)) {
+            return `size_budget에 알 수 없는 항목: ${key} (허용: ${BUDGET_KEYS.join(', ')})`;
+        }
+        if (!isBytes(bytes)) {
+            return `size_budget.${key}는 양의 정수(바이트)여야 합니다.`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Human-readable byte count
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes}B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)}MB`;
+}
+
+/**
+ * Measure every page
+ * @param {object} pages - loadPages() result: { name: { html, json, images, audios } }
+ * @param {object} options
+ * @param {object|null} options.minifyOptions - normalizeMinifyOptions result
+ * @param {object|null} [options.obfuscateOptions] - normalizeObfuscateOptions result
+ * @param {{ html: number|null, assets: number|null }} options.budget - normalizeSizeBudget result
+ * @returns {{ budget: object, totals: object, pages: object[] }}
+ *   pages: { name, html, minified, explanations, assets, overBudget: string[] },
+ *   largest minified HTML first
+ */
+function buildSizeReport(pages, { minifyOptions, obfuscateOptions = null, budget }) {
+    const byteLength = (text) => Buffer.byteLength(text || '', 'utf8');
+    const fileSizes = new Map();
+    const fileSize = (filePath) => {
+        if (!fileSizes.has(filePath)) fileSizes.set(filePath, fs.statSync(filePath).size);
+        return fileSizes.get(filePath);
+    };
+
+    const rows = Object.entries(pages).map(([name, pageInfo]) => {
+        // Explanations are uploaded minified only when they are HTML (see upload.js)
+        const explanations = (pageInfo.json.answers || [])
+            .map(ans => ans.explanation || '')
+            .map(text => (text.includes('<') ? minifyHtml(text, minifyOptions) : text))
+            .reduce((sum, text) => sum + byteLength(text), 0);
+        const assetPaths = [...new Set([...(pageInfo.images || []), ...(pageInfo.audios || [])])];
+        const row = {
+            name,
+            html: byteLength(pageInfo.html),
+            minified: byteLength(obfuscateHtml(minifyHtml(pageInfo.html, minifyOptions), obfuscateOptions)),
+            explanations,
+            assets: assetPaths.reduce((sum, p) => sum + fileSize(p), 0),
+            overBudget: []
+        };
+        if (budget.html !== null && row.minified > budget.html) row.overBudget.push('html');
+        if (budget.assets !== null && row.assets > budget.assets) row.overBudget.push('assets');
+        return row;
+    });
+    rows.sort((a, b) => b.minified - a.minified || a.name.localeCompare(b.name));
+
+    const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+    return {
+        budget,
+        totals: {
+            html: sum('html'),
+            minified: sum('minified'),
+            explanations: sum('explanations'),
+            // Shared assets upload once
+            assets: [...fileSizes.values()].reduce((total, size) => total + size, 0)
+        },
+        pages: rows
+    };
+}
+
+/**
+ * Table lines for the log, largest page first
+ * @param {object} report - buildSizeReport result
+ * @returns {string[]}
+ */
+function formatSizeTable(report) {
+    const columns = [
+        ['HTML', row => row.html],
+        ['압축 후', row => row.minified],
+        ['해설', row => row.explanations],
+        ['에셋', row => row.assets]
+    ];
+    const width = 10;
+    // Hangul takes two terminal columns
+    const cell = (text) => ' '.repeat(Math.max(0, width - text.length - (text.match(/[\u1100-\u11ff\uac00-\ud7a3]/g) || []).length)) + text;
+    const lines = [columns.map(([title]) => cell(title)).join('') + '  페이지'];
+    for (const row of report.pages) {
+        const flag = row.overBudget.length > 0 ? `  (예산 초과: ${row.overBudget.join(', ')})` : '';
+        lines.push(columns.map(([, value]) => cell(formatBytes(value(row)))).join('') + `  ${row.name}${flag}`);
+    }
+    lines.push(columns.map(([, value]) => cell(formatBytes(report.pages.length ? value(report.totals) : 0))).join('') + '  (합계)');
+    return lines;
+}
+
+/**
+ * Budget warnings, one per over-budget page
+ * @param {object} report - buildSizeReport result
+ * @returns {string[]}
+ */
+function describeOverBudget(report) {
+    const labels = { html: ['압축 후 HTML', 'minified'], assets: ['에셋', 'assets'] };
+    return report.pages
+        .filter(row => row.overBudget.length > 0)
+        .map(row => `${row.name}: ` + row.overBudget
+            .map(key => `${labels[key][0]} ${formatBytes(row[labels[key][1]])} > 예산 ${formatBytes(report.budget[key])}`)
+            .join(', '));
+}
+
+/**
+ * Write the report as JSON (pages keyed by name, sorted, no timestamps)
+ * @param {object} report - buildSizeReport result
+ * @param {string} filePath
+ */
+function writeSizeReport(report, filePath) {
+    const pages = {};
+    for (const row of [...report.pages].sort((a, b) => a.name.localeCompare(b.name))) {
+        const { name, ...sizes } = row;
+        pages[name] = sizes;
+    }
+    const data = { budget: report.budget, totals: report.totals, pages };
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 4) + '\n', 'utf8');
+}
+
+module.exports = {
+    SIZE_REPORT_FILE,
+    normalizeSizeBudget,
+    validateSizeBudget,
+    buildSizeReport,
+    formatSizeTable,
+    describeOverBudget,
+    writeSizeReport
+};
@@ -0,0 +1,161 @@
+/**
+ * Template Module
+ * Expands page HTML before upload: includes, a shared layout and variables.
+ *
+ *   <!-- INCLUDE ./partials/footer.html -->
+ *       Replaced by the file's contents. Relative paths resolve from the file
+ *       that contains the directive, "/"-prefixed paths from the content root.
+ *       Includes may nest (cycles are an error).
+ *   layout.html (content root)
+ *       Wraps every page; the page HTML goes into {{content}}. A page opts out
+ *       with "layout": false or picks another file with "layout": "path".
+ *   {{title}}, {{labyrinth.title}}
+ *       Page JSON fields, and labyrinth.json fields under "labyrinth.".
+ *       Only string/number/boolean values; unknown names are left as-is.
+ *
+ * Relative asset paths inside included files and the layout (everything
+ * assets.js scans: src/href, srcset, poster, data-*, url()) are rebased to
+ * "/"-prefixed root paths, so assets resolve the same no matter which page
+ * includes them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { rewriteAssetRefs } = require('./assets');
+
+const LAYOUT_FILE = 'layout.html';
+const MAX_INCLUDE_DEPTH = 10;
+
+const INCLUDE_REGEX = /<!--\s*INCLUDE\s+(\S+?)\s*-->/g;
+const VARIABLE_REGEX = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Resolve a template path like image paths are resolved
+ * @param {string} ref - Path as written
+ * @param {string} fromDir - Directory of the file containing the reference
+ * @param {string} rootDir - Content root
+ * @returns {string} Absolute path
+ */
+function resolveTemplatePath(ref, fromDir, rootDir) {
+    return ref.startsWith('/') ? path.resolve(rootDir, ref.slice(1)) : path.resolve(fromDir, ref);
+}
+
+/**
+ * Rewrite relative asset paths to "/"-prefixed root paths
+ * @param {string} html
+ * @param {string} fromDir - Directory the paths are relative to
+ * @param {string} rootDir - Content root
+ * @returns {string}
+ */
+function rebaseRelativeUrls(html, fromDir, rootDir) {
+    const isRelative = (url) => !/^(?:[a-z][a-z0-9+.-]*:|\/|#|\{\{)/i.test(url);
+    const rebase = (url) => '/' + path.relative(rootDir, path.resolve(fromDir, url)).split(path.sep).join('/');
+
+    return rewriteAssetRefs(html, url => (isRelative(url) ? rebase(url) : null));
+}
+
+/**
+ * Expand INCLUDE directives recursively
+ * @param {string} html
+ * @param {string} fromDir - Directory of the file containing html
+ * @param {string} rootDir - Content root
+ * @param {string[]} stack - Files currently being expanded (cycle detection)
+ * @param {Set<string>} files - Collects every included file
+ * @returns {string}
+ */
+function expandIncludes(html, fromDir, rootDir, stack, files) {
+    return html.replace(INCLUDE_REGEX, (match, ref) => {
+        const filePath = resolveTemplatePath(ref, fromDir, rootDir);
+        if (stack.includes(filePath)) {
+            throw new Error(`INCLUDE 순환: ${[...stack, filePath].map(f => path.relative(rootDir, f)).join(' → ')}`);
+        }
+        if (stack.length >= MAX_INCLUDE_DEPTH) {
+            throw new Error(`INCLUDE가 너무 깊습니다 (최대 ${MAX_INCLUDE_DEPTH}단계): ${ref}`);
+        }
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`INCLUDE 파일을 찾을 수 없습니다: ${ref} (resolved: ${filePath})`);
+        }
+        files.add(filePath);
+
+        const dir = path.dirname(filePath);
+        const content = rebaseRelativeUrls(fs.readFileSync(filePath, 'utf8'), dir, rootDir);
+        return expandIncludes(content, dir, rootDir, [...stack, filePath], files);
+    });
+}
+
+/**
+ * Substitute {{name}} variables
+ * @param {string} html
+ * @param {object} vars - Flat name → value map
+ * @returns {{ html: string, unknown: string[] }}
+ */
+function substituteVariables(html, vars) {
+    const unknown = new Set();
+    const result = html.replace(VARIABLE_REGEX, (match, name) => {
+        if (Object.prototype.hasOwnProperty.call(vars, name)) return String(vars[name]);
+        unknown.add(name);
+        return match;
+    });
+    return { html: result, unknown: [...unknown] };
+}
+
+/**
+ * Build the variable map for a page
+ * @param {object} pageData - Page JSON
+ * @param {object} config - labyrinth.json contents
+ * @returns {object}
+ */
+function buildTemplateVars(pageData, config) {
+    const vars = {};
+    const isScalar = (v) => ['string', 'number', 'boolean'].includes(typeof v);
+    for (const [key, value] of Object.entries(config || {})) {
+        if (isScalar(value)) vars[`labyrinth.${key}`] = value;
+    }
+    for (const [key, value] of Object.entries(pageData || {})) {
+        if (isScalar(value)) vars[key] = value;
+    }
+    return vars;
+}
+
+/**
+ * Render a page: includes, then layout (with its own includes), then variables
+ * @param {string} html - Page HTML as written
+ * @param {object} pageData - Page JSON (variables, layout option)
+ * @param {object} options
+ * @param {string} options.pageDir - Directory of the page HTML file
+ * @param {string} options.rootDir - Content root
+ * @param {object} [options.config] - labyrinth.json contents (labyrinth.* variables)
+ * @returns {{ html: string, files: string[], unknownVars: string[] }}
+ *   files: included files and the layout used
+ */
+function renderPageTemplate(html, pageData, { pageDir, rootDir, config = {} }) {
+    const files = new Set();
+    let result = expandIncludes(html, pageDir, rootDir, [], files);
+
+    let layoutPath = null;
+    if (typeof pageData.layout === 'string') {
+        layoutPath = resolveTemplatePath(pageData.layout, pageDir, rootDir);
+        if (!fs.existsSync(layoutPath)) {
+            throw new Error(`레이아웃 파일을 찾을 수 없습니다: ${pageData.layout} (resolved: ${layoutPath})`);
+        }
+    } else if (pageData.layout !== false && fs.existsSync(path.join(rootDir, LAYOUT_FILE))) {
+        layoutPath = path.join(rootDir, LAYOUT_FILE);
+    }
+
+    if (layoutPath) {
+        files.add(layoutPath);
+        const layoutDir = path.dirname(layoutPath);
+        let layout = rebaseRelativeUrls(fs.readFileSync(layoutPath, 'utf8'), layoutDir, rootDir);
+        layout = expandIncludes(layout, layoutDir, rootDir, [layoutPath], files);
+        // Function replacement: page HTML may contain "$" patterns
+        result = layout.replace(/\{\{\s*content\s*\}\}/g, () => result);
+    }
+
+    const { html: rendered, unknown } = substituteVariables(result, buildTemplateVars(pageData, config));
+    return { html: rendered, files: [...files], unknownVars: unknown };
+}
+
+module.exports = {
+    LAYOUT_FILE,
+    renderPageTemplate
+};
@@ -0,0 +1,101 @@
+/**
+ * Answer Variants Module
+ * Generates common spellings of an answer so players don't fail on input form.
+ *
+ * Policy (labyrinth.json or page JSON `answer_variants`):
+ *   true                     all variant types
+ *   false / omitted          none
+ *   ["case", "spacing", ...] only the listed types
+ *
+ * Variant types:
+ *   case     lower case / UPPER CASE
+ *   width    half-width / full-width forms (ＡＢＣ１２３ ↔ ABC123)
+ *   spacing  all whitespace removed
+ *   hangul   NFC / NFD (composed syllables ↔ decomposed jamo)
+ */
+
+const ANSWER_VARIANT_TYPES = ['case', 'width', 'spacing', 'hangul'];
+
+/**
+ * Full-width ASCII (U+FF01-FF5E) and ideographic space to half-width
+ * @param {string} text
+ * @returns {string}
+ */
+function toHalfWidth(text) {
+    return text
+        .replace(/[！-～]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0xFEE0))
+        .replace(/　/g, ' ');
+}
+
+/**
+ * Printable ASCII and space to full-width
+ * @param {string} text
+ * @returns {string}
+ */
+function toFullWidth(text) {
+    return text
+        .replace(/[!-~]/g, ch => String.fromCharCode(ch.charCodeAt(0) + 0xFEE0))
+        .replace(/ /g, '　');
+}
+
+const TRANSFORMS = {
+    case: text => [text.toLowerCase(), text.toUpperCase()],
+    width: text => [toHalfWidth(text), toFullWidth(text)],
+    spacing: text => [text.replace(/\s+/g, '')],
+    hangul: text => [text.normalize('NFC'), text.normalize('NFD')]
+};
+
+/**
+ * Resolve a policy value to the list of variant types (unknown types dropped)
+ * @param {boolean|string[]|undefined} policy
+ * @returns {string[]}
+ */
+function normalizeVariantPolicy(policy) {
+    if (policy === true) return ANSWER_VARIANT_TYPES.slice();
+    if (!Array.isArray(policy)) return [];
+    return ANSWER_VARIANT_TYPES.filter(type => policy.includes(type));
+}
+
+/**
+ * Validate a policy value
+ * @param {*} policy
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateVariantPolicy(policy) {
+    if (policy === undefined || typeof policy === 'boolean') return null;
+    if (!Array.isArray(policy)) {
+        return `answer_variants는 true/false 또는 배열이어야 합니다. (허용: ${ANSWER_VARIANT_TYPES.join(', ')})`;
+    }
+    const unknown = policy.filter(type => !ANSWER_VARIANT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        return `알 수 없는 answer_variants 항목: ${unknown.join(', ')} (허용: ${ANSWER_VARIANT_TYPES.join(', ')})`;
+    }
+    return null;
+}
+
+/**
+ * Generate variants of an answer. Types are applied in ANSWER_VARIANT_TYPES
+ * order, each to every form produced so far, so combinations are covered
+ * (e.g. lower case with spaces removed).
+ * @param {string} text - Answer text
+ * @param {string[]} types - Result of normalizeVariantPolicy
+ * @returns {string[]} Distinct variants, excluding the text itself
+ */
+function generateVariants(text, types) {
+    const forms = [text];
+    for (const type of types) {
+        for (const form of forms.slice()) {
+            for (const variant of TRANSFORMS[type](form)) {
+                if (variant && !forms.includes(variant)) forms.push(variant);
+            }
+        }
+    }
+    return forms.slice(1);
+}
+
+module.exports = {
+    ANSWER_VARIANT_TYPES,
+    normalizeVariantPolicy,
+    validateVariantPolicy,
+    generateVariants
+};
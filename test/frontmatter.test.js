@@ -0,0 +1,63 @@
+/**
+ * Tests for src/frontmatter.js
+ *
+ * Usage: npm test
+ */
+
+const assert = require('assert');
+const { parseFrontMatter } = require('../src/frontmatter');
+
+const CASES = {
+    'YAML 숫자 정답은 쓴 그대로 문자열': () => {
+        const { data, body } = parseFrontMatter([
+            '---',
+            'title: 2024',
+            'answers:',
+            '  - answer: 1234',
+            '    next: page/next',
+            '  - answer: 0123',
+            '    aliases: [42, yes]',
+            '---',
+            '<p>본문</p>'
+        ].join('\n'));
+        assert.strictEqual(data.title, '2024');
+        assert.strictEqual(data.answers[0].answer, '1234');
+        assert.strictEqual(data.answers[1].answer, '0123');
+        assert.deepStrictEqual(data.answers[1].aliases, ['42', 'yes']);
+        assert.strictEqual(body, '<p>본문</p>');
+    },
+
+    'YAML의 다른 필드는 타입 유지': () => {
+        const { data } = parseFrontMatter('---\ntitle: 끝\nis_ending: true\nanswers: []\n---\n');
+        assert.strictEqual(data.is_ending, true);
+        assert.deepStrictEqual(data.answers, []);
+    },
+
+    'JSON 숫자 정답도 문자열': () => {
+        const { data } = parseFrontMatter('---\n{ "title": "시작", "answers": [{ "answer": 1234 }] }\n---\n본문');
+        assert.strictEqual(data.answers[0].answer, '1234');
+    },
+
+    'front matter가 없으면 오류': () => {
+        assert.throws(() => parseFrontMatter('<p>본문</p>'), /front matter가 없습니다/);
+    }
+};
+
+function main() {
+    let failed = 0;
+    for (const [name, run] of Object.entries(CASES)) {
+        try {
+            run();
+            console.log(`  ok   ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`  FAIL ${name}\n    ${error.message}`);
+        }
+    }
+
+    console.log('');
+    console.log(`${Object.keys(CASES).length - failed}/${Object.keys(CASES).length} 통과`);
+    if (failed > 0) process.exit(1);
+}
+
+main();
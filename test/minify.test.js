@@ -0,0 +1,73 @@
+/**
+ * Golden-file tests for src/minify.js
+ *
+ * Each test/minify/{name}.input.html is minified (with {name}.options.json as
+ * the labyrinth.json `minify` value, if present) and must equal
+ * {name}.expected.html byte for byte. The expected output must also be a
+ * fixed point: minifying it again changes nothing.
+ *
+ * Usage: npm test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { minifyHtml, normalizeMinifyOptions } = require('../src/minify');
+
+const FIXTURE_DIR = path.join(__dirname, 'minify');
+
+/**
+ * Show the first difference between two strings
+ * @param {string} actual
+ * @param {string} expected
+ * @returns {string}
+ */
+function describeDiff(actual, expected) {
+    let i = 0;
+    while (i < actual.length && actual[i] === expected[i]) i++;
+    const around = (str) => JSON.stringify(str.slice(Math.max(0, i - 30), i + 30));
+    return `위치 ${i}\n    결과: ${around(actual)}\n    기대: ${around(expected)}`;
+}
+
+function main() {
+    const names = fs.readdirSync(FIXTURE_DIR)
+        .filter(file => file.endsWith('.input.html'))
+        .map(file => file.slice(0, -'.input.html'.length))
+        .sort();
+
+    let failed = 0;
+    let inputBytes = 0;
+    let outputBytes = 0;
+
+    for (const name of names) {
+        const read = (suffix) => fs.readFileSync(path.join(FIXTURE_DIR, name + suffix), 'utf8');
+        const optionsPath = path.join(FIXTURE_DIR, `${name}.options.json`);
+        const options = normalizeMinifyOptions(fs.existsSync(optionsPath) ? JSON.parse(read('.options.json')) : undefined);
+
+        const input = read('.input.html');
+        const expected = read('.expected.html');
+        const actual = minifyHtml(input, options);
+
+        const before = Buffer.byteLength(input);
+        const after = Buffer.byteLength(actual);
+        const saved = `${before} → ${after} bytes (-${((1 - after / before) * 100).toFixed(1)}%)`;
+
+        try {
+            assert.ok(actual === expected, `기대 결과와 다름, ${describeDiff(actual, expected)}`);
+            const again = minifyHtml(expected, options);
+            assert.ok(again === expected, `다시 압축하면 바뀜, ${describeDiff(again, expected)}`);
+            console.log(`  ok   ${name}  ${saved}`);
+            inputBytes += before;
+            outputBytes += after;
+        } catch (error) {
+            failed++;
+            console.log(`  FAIL ${name}\n    ${error.message}`);
+        }
+    }
+
+    console.log('');
+    console.log(`${names.length - failed}/${names.length} 통과, 전체 ${inputBytes} → ${outputBytes} bytes (${inputBytes - outputBytes} bytes 절약)`);
+    if (failed > 0) process.exit(1);
+}
+
+main();
@@ -2,43 +2,143 @@
  * The Labyrinth Auto Upload Script
  *
  * Usage: node upload.js [options] <content-folder>
+ *        node upload.js pull [options] <labyrinthSeqn> <content-folder>
+ *        node upload.js graph [--format dot|mermaid|json] [--output <file>] <content-folder>
+ *        node upload.js preview [--port <port>] <content-folder>
+ *        node upload.js logout --forget <content-folder>
  * Example: node upload.js ./example
  *
+ * Commands:
+ *   (default)         Upload the content folder to the site
+ *   pull              Import an existing labyrinth from the site into a content folder
+ *   validate          Check page JSON and the page graph (no login)
+ *   graph             Export the page graph as DOT, Mermaid or JSON (no login)
+ *   preview           Serve the pages locally for playtesting (no login)
+ *   logout            Show the saved login session; --forget deletes it
+ *
  * Options:
+ *   --format <fmt>    Graph format: dot (default), mermaid, json
+ *   --output, -o      Write the graph to a file instead of stdout
+ *   --port <port>     Preview server port (default 3000)
+ *   --forget          logout: delete the saved login session
+ *   --email <email>   Account email (with --password)
+ *   --password <pw>   Account password
+ *   --profile <name>  Use a named profile from the user-level profiles.json
+ *   --plan            Print what would be uploaded without touching the site
+ *   --watch, -w       Keep the session open and re-upload changes as files are saved
+ *   --check-drift     Report pages changed on the site since the last upload (no upload)
+ *   --drift-guard     Check for drift before uploading; ask to overwrite or abort
+ *   --yes, -y         Answer "yes" to confirmations (overwrite drift)
  *   --show-browser    Show browser window (for debugging)
  *   --verbose         Show detailed logs
  *   --help            Show help message
  *
  * Reads config from <content-folder>/labyrinth.json
- * Reads credentials from <content-folder>/account.json
+ * Reads credentials from --email/--password, THELABY_EMAIL/THELABY_PASSWORD,
+ * a user-level profile (--profile) or <content-folder>/account.json, in that order
+ * Saves the login session to <content-folder>/session.json and reuses it while valid
  * Creates labyrinth if labyrinth.meta doesn't exist
- * Uploads pages based on {page}.html files with matching {page}.json metadata
+ * Uploads pages based on {page}.html (or {page}.md) files with matching {page}.json metadata,
+ * or single {page}.page.html / {page}.page.md files with front matter
+ * Page HTML is expanded first: <!-- INCLUDE --> files, layout.html and {{variables}}
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const os = require('os');
+const readline = require('readline');
+const { execFileSync } = require('child_process');
 
 // ============================================================
 // CLI Options
 // ============================================================
 
+/**
+ * Subcommands (first positional argument). Anything else is the content folder.
+ */
+const COMMANDS = ['upload', 'pull', 'validate', 'graph', 'preview', 'logout'];
+
+/**
+ * Saved login session (cookies), kept in the content folder next to account.json
+ */
+const SESSION_FILE = 'session.json';
+
+/**
+ * Page body file extensions. Markdown bodies are converted to HTML on read.
+ */
+const PAGE_BODY_EXTENSIONS = ['.html', '.md'];
+
+/**
+ * Single-file page suffixes: front matter (page JSON) + body in one file
+ */
+const SINGLE_PAGE_SUFFIXES = ['.page.html', '.page.md'];
+
 /**
  * Parse command line arguments
- * @returns {{ contentFolder: string|null, showBrowser: boolean, verbose: boolean, quiet: boolean, help: boolean }}
+ * @returns {{ command: string, contentFolder: string|null, labyrinthSeqn: string|null, format: string, output: string|null, port: number, forget: boolean, email: string|null, password: string|null, profile: string|null, plan: boolean, watch: boolean, checkDrift: boolean, driftGuard: boolean, yes: boolean, showBrowser: boolean, verbose: boolean, quiet: boolean, help: boolean }}
  */
 function parseArgs() {
     const args = process.argv.slice(2);
     const options = {
+        command: 'upload',
         contentFolder: null,
+        labyrinthSeqn: null,
+        format: 'dot',
+        output: null,
+        port: 3000,
+        forget: false,
+        email: null,
+        password: null,
+        profile: null,
+        plan: false,
+        watch: false,
+        checkDrift: false,
+        driftGuard: false,
+        yes: false,
         showBrowser: false,
         verbose: false,
         quiet: false,
         help: false
     };
 
-    for (const arg of args) {
-        if (arg === '--show-browser') {
+    const positional = [];
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === '--format') {
+            options.format = args[++i] || '';
+        } else if (arg.startsWith('--format=')) {
+            options.format = arg.slice('--format='.length);
+        } else if (arg === '--output' || arg === '-o') {
+            options.output = args[++i] || null;
+        } else if (arg.startsWith('--output=')) {
+            options.output = arg.slice('--output='.length);
+        } else if (arg === '--port') {
+            options.port = parseInt(args[++i], 10);
+        } else if (arg.startsWith('--port=')) {
+            options.port = parseInt(arg.slice('--port='.length), 10);
+        } else if (arg === '--email') {
+            options.email = args[++i] || null;
+        } else if (arg === '--password') {
+            options.password = args[++i] || null;
+        } else if (arg === '--profile') {
+            options.profile = args[++i] || null;
+        } else if (arg.startsWith('--profile=')) {
+            options.profile = arg.slice('--profile='.length);
+        } else if (arg === '--forget') {
+            options.forget = true;
+        } else if (arg === '--plan') {
+            options.plan = true;
+        } else if (arg === '--watch' || arg === '-w') {
+            options.watch = true;
+        } else if (arg === '--check-drift') {
+            options.checkDrift = true;
+        } else if (arg === '--drift-guard') {
+            options.driftGuard = true;
+        } else if (arg === '--yes' || arg === '-y') {
+            options.yes = true;
+        } else if (arg === '--show-browser') {
             options.showBrowser = true;
         } else if (arg === '--verbose') {
             options.verbose = true;
@@ -47,10 +147,20 @@ function parseArgs() {
         } else if (arg === '--help' || arg === '-h') {
             options.help = true;
         } else if (!arg.startsWith('-')) {
-            options.contentFolder = arg;
+            positional.push(arg);
         }
     }
 
+    if (positional.length > 0 && COMMANDS.includes(positional[0])) {
+        options.command = positional.shift();
+    }
+    if (options.command === 'pull') {
+        options.labyrinthSeqn = positional.shift() || null;
+    }
+    if (positional.length > 0) {
+        options.contentFolder = positional[positional.length - 1];
+    }
+
     return options;
 }
 
@@ -60,8 +170,33 @@ function parseArgs() {
 function showHelp() {
     console.log(`
 사용법: node upload.js [옵션] <콘텐츠-폴더>
+        node upload.js pull [옵션] <미궁-ID> <콘텐츠-폴더>
+        node upload.js validate <콘텐츠-폴더>
+        node upload.js graph [--format dot|mermaid|json] [--output <파일>] <콘텐츠-폴더>
+        node upload.js preview [--port <포트>] <콘텐츠-폴더>
+        node upload.js logout --forget <콘텐츠-폴더>
+
+명령:
+  (기본)            콘텐츠 폴더를 사이트에 업로드합니다
+  pull              사이트의 기존 미궁을 콘텐츠 폴더로 가져옵니다
+  validate          페이지와 페이지 그래프를 검사합니다 (로그인 안 함)
+  graph             페이지 그래프를 DOT, Mermaid, JSON으로 내보냅니다 (로그인 안 함)
+  preview           로컬 서버에서 페이지를 플레이해봅니다 (로그인 안 함)
+  logout            저장된 로그인 세션을 확인합니다 (--forget: 삭제)
 
 옵션:
+  --format <형식>   graph 출력 형식: dot (기본), mermaid, json
+  --output, -o      graph 결과를 표준 출력 대신 파일에 저장합니다
+  --port <포트>     preview 서버 포트 (기본 3000)
+  --forget          logout: 저장된 로그인 세션(session.json)을 삭제합니다
+  --email <이메일>  계정 이메일 (--password와 함께)
+  --password <비번> 계정 비밀번호
+  --profile <이름>  사용자 설정의 profiles.json에서 계정 프로필을 사용합니다
+  --plan            사이트에 접속하지 않고 업로드 계획만 출력합니다
+  --watch, -w       로그인을 유지한 채 파일이 바뀔 때마다 변경분만 업로드합니다
+  --check-drift     마지막 업로드 이후 사이트에서 바뀐 페이지를 보고합니다 (업로드 안 함)
+  --drift-guard     업로드 전에 원격 변경을 확인하고 덮어쓸지 묻습니다
+  --yes, -y         확인 질문에 모두 "예"로 답합니다
   --show-browser    브라우저 창을 표시합니다 (디버깅용)
   --verbose         상세 로그를 출력합니다
   --quiet, -q       에러만 출력합니다
@@ -69,8 +204,17 @@ function showHelp() {
 
 예시:
   node upload.js ./example
+  node upload.js --plan ./my-labyrinth
+  node upload.js --watch ./my-labyrinth
+  node upload.js --check-drift ./my-labyrinth
   node upload.js --show-browser ./my-labyrinth
   node upload.js --verbose ./my-labyrinth
+  node upload.js pull 12345 ./my-labyrinth
+  node upload.js validate ./my-labyrinth
+  node upload.js graph --format mermaid ./my-labyrinth
+  node upload.js graph -o graph.dot ./my-labyrinth
+  node upload.js preview ./my-labyrinth
+  node upload.js logout --forget ./my-labyrinth
 `);
 }
 
@@ -182,8 +326,8 @@ async function withRetry(fn, description, maxRetries = RETRY_CONFIG.maxRetries)
     throw lastError;
 }
 
-const { login, logout } = require('./src/login');
-const { createLabyrinth, updateLabyrinth, computeLabyrinthHash, validateConfig } = require('./src/labyrinth');
+const { login, logout, forgetSession } = require('./src/login');
+const { createLabyrinth, updateLabyrinth, readLabyrinthConfig, computeLabyrinthHash, validateConfig } = require('./src/labyrinth');
 const {
     navigateToCreatePage,
     navigateToEditPage,
@@ -195,59 +339,148 @@ const {
     setParentConnection,
     clearParentConnections,
     getParentConnections,
+    readPageForm,
     deletePage,
     setEditorContent
 } = require('./src/page');
 const {
     calculateChecksum,
-    uploadImage
+    checkImageFile,
+    uploadImage,
+    IMAGE_CONSTRAINTS
 } = require('./src/image');
-const { uploadAudio, AUDIO_CONSTRAINTS } = require('./src/audio');
-const { minifyHtml } = require('./src/minify');
+const { IMAGE_CACHE_DIR, CONVERTED_IMAGE_EXTENSIONS, normalizeProcessingPolicy, prepareContentImage } = require('./src/imageprocess');
+const { uploadAudio, readAudioInfo, formatAudioInfo, AUDIO_CONSTRAINTS } = require('./src/audio');
+const { AUDIO_CACHE_DIR, CONVERTED_AUDIO_EXTENSIONS, planAudio, checkAudioFile, prepareAudio } = require('./src/audioprocess');
+const { minifyHtml, normalizeMinifyOptions } = require('./src/minify');
+const { obfuscateHtml, normalizeObfuscateOptions } = require('./src/obfuscate');
+const { SIZE_REPORT_FILE, normalizeSizeBudget, buildSizeReport, formatSizeTable, describeOverBudget, writeSizeReport } = require('./src/sizereport');
+const { isLocalRef, refPath, scanAssetRefs, rewriteAssetRefs } = require('./src/assets');
+const { findContentPageRefs, lintPageGraph, buildPageGraph, GRAPH_FORMATS } = require('./src/graph');
+const { startPreviewServer } = require('./src/preview');
+const { normalizeVariantPolicy, validateVariantPolicy, generateVariants } = require('./src/variants');
+const { renderPageTemplate, LAYOUT_FILE } = require('./src/template');
+const { markdownToHtml } = require('./src/markdown');
+const { parseFrontMatter } = require('./src/frontmatter');
 const { setLogger } = require('./src/logger');
 
+// Images referenced from pages (WebP/AVIF/SVG are converted before upload)
+const IMAGE_SOURCE_FORMATS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp', 'avif', 'svg'];
+
+// Audio referenced from pages: the site's formats plus the ones transcoded before upload
+const AUDIO_SOURCE_FORMATS = [...AUDIO_CONSTRAINTS.allowedFormats, ...CONVERTED_AUDIO_EXTENSIONS.map(ext => ext.slice(1))];
+
 /**
- * Load account credentials from account.json
- * @param {string} contentPath - Path to content folder
- * @returns {{ email: string, password: string }}
+ * User-level credential profiles: { "<profile>": { "email": "...", "password": "..." } }
+ * $XDG_CONFIG_HOME/thelaby-cipher/profiles.json (Windows: %APPDATA%\thelaby-cipher\profiles.json)
+ * @returns {string}
  */
-function loadAccount(contentPath) {
-    const accountPath = path.join(contentPath, 'account.json');
-    if (!fs.existsSync(accountPath)) {
-        log.error(`account.json 파일을 찾을 수 없습니다: ${accountPath}`);
-        log.error('account.json 파일을 생성해주세요.');
-        log.error('형식: { "email": "이메일", "password": "비밀번호" }');
-        process.exit(1);
-    }
+function getProfilesPath() {
+    const configDir = process.env.XDG_CONFIG_HOME ||
+        (process.platform === 'win32' && process.env.APPDATA) ||
+        path.join(os.homedir(), '.config');
+    return path.join(configDir, 'thelaby-cipher', 'profiles.json');
+}
 
-    let account;
+/**
+ * Read a JSON credentials file, exiting on parse errors
+ * @param {string} filePath
+ * @param {string} label - Name shown in errors
+ * @returns {object}
+ */
+function readCredentialsFile(filePath, label) {
     try {
-        account = JSON.parse(fs.readFileSync(accountPath, 'utf8'));
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
     } catch (e) {
-        log.error(`account.json 파일을 읽을 수 없습니다: ${e.message}`);
+        log.error(`${label} 파일을 읽을 수 없습니다: ${e.message}`);
         log.error('JSON 형식이 올바른지 확인해주세요.');
         process.exit(1);
     }
+}
+
+/**
+ * Resolve account credentials. The first source that has any credential wins:
+ *   1. --email / --password
+ *   2. THELABY_EMAIL / THELABY_PASSWORD
+ *   3. --profile <name> (or the "default" profile) in the user-level profiles.json
+ *   4. <content-folder>/account.json
+ * The chosen source is logged in verbose mode; the password never is.
+ * @param {string} contentPath - Path to content folder
+ * @param {{ email: string|null, password: string|null, profile: string|null }} args
+ * @returns {{ email: string, password: string }}
+ */
+function loadAccount(contentPath, args = {}) {
+    const sources = [];
+
+    sources.push({ label: '명령줄 옵션 --email/--password', email: args.email, password: args.password });
+    sources.push({
+        label: '환경 변수 THELABY_EMAIL/THELABY_PASSWORD',
+        email: process.env.THELABY_EMAIL,
+        password: process.env.THELABY_PASSWORD
+    });
+
+    const profilesPath = getProfilesPath();
+    if (args.profile && !fs.existsSync(profilesPath)) {
+        log.error(`프로필 파일을 찾을 수 없습니다: ${profilesPath}`);
+        log.error('형식: { "프로필": { "email": "이메일", "password": "비밀번호" } }');
+        process.exit(1);
+    }
+    if (fs.existsSync(profilesPath)) {
+        const profiles = readCredentialsFile(profilesPath, 'profiles.json');
+        const profileName = args.profile || 'default';
+        const profile = profiles[profileName];
+        if (args.profile && !profile) {
+            log.error(`프로필을 찾을 수 없습니다: "${profileName}" (${profilesPath})`);
+            log.error(`사용 가능한 프로필: ${Object.keys(profiles).join(', ') || '(없음)'}`);
+            process.exit(1);
+        }
+        if (profile) {
+            sources.push({
+                label: `프로필 "${profileName}" (${profilesPath})`,
+                email: profile.email || profile.id,
+                password: profile.password
+            });
+        }
+    }
+
+    const accountPath = path.join(contentPath, 'account.json');
+    if (fs.existsSync(accountPath)) {
+        const account = readCredentialsFile(accountPath, 'account.json');
+        // Support both "email" and "id" fields
+        sources.push({ label: `account.json (${accountPath})`, email: account.email || account.id, password: account.password });
+    }
 
-    // Support both "email" and "id" fields
-    const userId = account.email || account.id;
-    if (!userId || !account.password) {
-        log.error('account.json에 이메일과 비밀번호가 필요합니다.');
-        log.error('형식: { "email": "이메일", "password": "비밀번호" }');
+    const source = sources.find(s => s.email || s.password);
+    if (!source) {
+        log.error('계정 정보를 찾을 수 없습니다. 다음 중 하나로 지정해주세요:');
+        log.error('  - --email <이메일> --password <비밀번호>');
+        log.error('  - 환경 변수 THELABY_EMAIL, THELABY_PASSWORD');
+        log.error(`  - --profile <이름> (${profilesPath})`);
+        log.error(`  - ${accountPath}`);
+        log.error('    형식: { "email": "이메일", "password": "비밀번호" }');
+        process.exit(1);
+    }
+    if (!source.email || !source.password) {
+        log.error(`${source.label}에 이메일과 비밀번호가 모두 필요합니다.`);
         process.exit(1);
     }
 
-    return { email: userId, password: account.password };
+    log.verbose(`계정: ${source.email}, 출처: ${source.label}`);
+    return { email: source.email, password: source.password };
 }
 
 /**
- * Find all page HTML files in content directory
+ * Find all page body files ({name}.html or {name}.md) in content directory.
+ * A .md file only counts as a page when {name}.json sits next to it, so
+ * READMEs and other notes anywhere in the folder are left alone.
  * @param {string} contentPath - Path to content directory
- * @returns {string[]} Array of page paths (relative to contentPath, without .html extension)
+ * @returns {string[]} Array of page paths (relative to contentPath, without extension)
  */
 function findPageHtmlFiles(contentPath) {
     const results = [];
-    const excludeDirs = ['node_modules', 'lib', '.git', 'preview'];
+    // partials/ and the root layout.html are template sources, not pages
+    const excludeDirs = ['node_modules', 'lib', '.git', 'preview', 'partials', '.cache'];
+    const excludeRootFiles = [LAYOUT_FILE];
 
     function scanDir(dir) {
         const items = fs.readdirSync(dir);
@@ -259,9 +492,49 @@ function findPageHtmlFiles(contentPath) {
                 if (!excludeDirs.includes(item)) {
                     scanDir(fullPath);
                 }
-            } else if (item.endsWith('.html')) {
-                const relativePath = path.relative(contentPath, fullPath).replace(/\\/g, '/').replace('.html', '');
-                results.push(relativePath);
+            } else if (PAGE_BODY_EXTENSIONS.includes(path.extname(item))
+                && !SINGLE_PAGE_SUFFIXES.some(suffix => item.endsWith(suffix))
+                && !(dir === contentPath && excludeRootFiles.includes(item))
+                && !(path.extname(item) === '.md' && !fs.existsSync(fullPath.slice(0, -'.md'.length) + '.json'))) {
+                const relativePath = path.relative(contentPath, fullPath).replace(/\\/g, '/').slice(0, -path.extname(item).length);
+                if (!results.includes(relativePath)) {
+                    results.push(relativePath);
+                }
+            }
+        }
+    }
+
+    scanDir(contentPath);
+    return results;
+}
+
+/**
+ * Find all single-file pages ({name}.page.html / {name}.page.md) in content directory
+ * @param {string} contentPath - Path to content directory
+ * @returns {string[]} Array of page paths (relative to contentPath, without suffix)
+ */
+function findSinglePageFiles(contentPath) {
+    const results = [];
+    const excludeDirs = ['node_modules', 'lib', '.git', 'preview', 'partials', '.cache'];
+
+    function scanDir(dir) {
+        const items = fs.readdirSync(dir);
+        for (const item of items) {
+            const fullPath = path.join(dir, item);
+            const stat = fs.statSync(fullPath);
+
+            if (stat.isDirectory()) {
+                if (!excludeDirs.includes(item)) {
+                    scanDir(fullPath);
+                }
+            } else {
+                const suffix = SINGLE_PAGE_SUFFIXES.find(s => item.endsWith(s));
+                if (suffix) {
+                    const relativePath = path.relative(contentPath, fullPath).replace(/\\/g, '/').slice(0, -suffix.length);
+                    if (!results.includes(relativePath)) {
+                        results.push(relativePath);
+                    }
+                }
             }
         }
     }
@@ -277,8 +550,9 @@ function findPageHtmlFiles(contentPath) {
  */
 function findPageJsonFiles(contentPath) {
     const results = [];
-    const excludeDirs = ['node_modules', 'lib', '.git', 'preview'];
-    const excludeFiles = ['labyrinth.json', 'account.json'];
+    const excludeDirs = ['node_modules', 'lib', '.git', 'preview', '.cache'];
+    // size-report.json: written to the folder root by older versions
+    const excludeFiles = ['labyrinth.json', 'account.json', SESSION_FILE, 'size-report.json'];
 
     function scanDir(dir) {
         const items = fs.readdirSync(dir);
@@ -308,7 +582,7 @@ function findPageJsonFiles(contentPath) {
  */
 function findPageMetaFiles(contentPath) {
     const results = [];
-    const excludeDirs = ['node_modules', 'lib', '.git', 'preview'];
+    const excludeDirs = ['node_modules', 'lib', '.git', 'preview', '.cache'];
     const excludeFiles = ['labyrinth.meta'];
 
     function scanDir(dir) {
@@ -333,19 +607,54 @@ function findPageMetaFiles(contentPath) {
 }
 
 /**
- * Read page HTML content
+ * Read page HTML content ({name}.md is converted to HTML)
  * @param {string} contentPath - Path to content directory
  * @param {string} pagePath - Page path relative to contentPath (without extension)
  * @returns {string|null} HTML content or null
  */
 function readPageHtml(contentPath, pagePath) {
     const htmlPath = path.join(contentPath, `${pagePath}.html`);
-    if (fs.existsSync(htmlPath)) {
+    const mdPath = path.join(contentPath, `${pagePath}.md`);
+    const hasHtml = fs.existsSync(htmlPath);
+    const hasMd = fs.existsSync(mdPath);
+
+    if (hasHtml && hasMd) {
+        throw new Error(`${pagePath}: .html과 .md 파일이 모두 있습니다. 하나만 남겨주세요.`);
+    }
+    if (hasHtml) {
         return fs.readFileSync(htmlPath, 'utf8');
     }
+    if (hasMd) {
+        return markdownToHtml(fs.readFileSync(mdPath, 'utf8'));
+    }
     return null;
 }
 
+/**
+ * Read a single-file page and split it into page HTML and page JSON
+ * @param {string} contentPath - Path to content directory
+ * @param {string} pagePath - Page path relative to contentPath (without suffix)
+ * @returns {{ html: string, json: object }}
+ * @throws {Error} If both suffixes exist or the front matter is invalid
+ */
+function readSinglePage(contentPath, pagePath) {
+    const found = SINGLE_PAGE_SUFFIXES.filter(suffix => fs.existsSync(path.join(contentPath, `${pagePath}${suffix}`)));
+    if (found.length > 1) {
+        throw new Error(`${pagePath}: ${found.join('과 ')} 파일이 모두 있습니다. 하나만 남겨주세요.`);
+    }
+
+    const suffix = found[0];
+    const text = fs.readFileSync(path.join(contentPath, `${pagePath}${suffix}`), 'utf8');
+    let parsed;
+    try {
+        parsed = parseFrontMatter(text);
+    } catch (e) {
+        throw new Error(`${pagePath}${suffix}: ${e.message}`);
+    }
+    const html = suffix === '.page.md' ? markdownToHtml(parsed.body) : parsed.body;
+    return { html, json: parsed.data };
+}
+
 /**
  * Read page JSON metadata
  * @param {string} contentPath - Path to content directory
@@ -401,18 +710,42 @@ function deletePageMeta(contentPath, pagePath) {
     }
 }
 
+/**
+ * labyrinth.json options that change the HTML uploaded for every page, so
+ * that changing them re-uploads pages whose files didn't change
+ * @param {object} config - labyrinth.json contents
+ * @returns {object}
+ */
+function pageBuildOptions(config) {
+    return {
+        minify: normalizeMinifyOptions(config.minify),
+        obfuscate: normalizeObfuscateOptions(config.obfuscate)
+    };
+}
+
 /**
  * Compute hash for page content (HTML + JSON + image checksums for change detection)
  * @param {string} html - HTML content
  * @param {object} jsonData - JSON metadata
  * @param {string[]} imageChecksums - Array of image file checksums
+ * @param {object} buildOptions - Result of pageBuildOptions
  * @returns {string} MD5 hash
  */
-function computePageHash(html, jsonData, imageChecksums = []) {
-    const combined = JSON.stringify({ html, json: jsonData, images: imageChecksums.sort() });
+function computePageHash(html, jsonData, imageChecksums = [], buildOptions = {}) {
+    const combined = JSON.stringify({ html, json: jsonData, images: imageChecksums.sort(), build: buildOptions });
     return crypto.createHash('md5').update(combined).digest('hex');
 }
 
+/**
+ * Compute hash of the page content as stored on the site (for drift detection).
+ * Surrounding whitespace is ignored; the editor may add or drop a trailing newline.
+ * @param {string} html - Processed HTML as uploaded / as read back from the site
+ * @returns {string} MD5 hash
+ */
+function computeContentHash(html) {
+    return crypto.createHash('md5').update((html || '').trim()).digest('hex');
+}
+
 /**
  * Page JSON validation constraints
  */
@@ -422,6 +755,44 @@ const PAGE_VALIDATION = {
     header_display: { allowedValues: ['labyrinth_title', 'page_title', 'none'] }
 };
 
+/**
+ * Expand answer aliases and generated variants into answer rows, in site slot
+ * order: each answer's own row is followed by one row per alias sharing its
+ * next, public and explanation. Variants (answer_variants policy) come after
+ * all explicit rows, so toggling the policy doesn't shift existing slots; a
+ * variant whose text is already routed is skipped. Alias rows carry aliasOf
+ * (the main answer text), variant rows variantOf (the text they came from).
+ * @param {Array} answers - answers[] from page JSON
+ * @param {boolean|string[]} [variants] - answer_variants policy
+ * @returns {Array<{ answer: string, next?: string, public?: boolean, explanation?: string, aliasOf?: string, variantOf?: string }>}
+ */
+function expandAnswers(answers = [], variants = undefined) {
+    const rows = [];
+    for (const ans of answers) {
+        const { aliases, ...row } = ans;
+        rows.push(row);
+        for (const alias of Array.isArray(aliases) ? aliases : []) {
+            rows.push({ ...row, answer: alias, aliasOf: row.answer });
+        }
+    }
+
+    const types = normalizeVariantPolicy(variants);
+    if (types.length === 0) return rows;
+
+    const texts = new Set(rows.map(row => row.answer));
+    const variantRows = [];
+    for (const row of rows) {
+        if (typeof row.answer !== 'string') continue;
+        for (const text of generateVariants(row.answer, types)) {
+            if (texts.has(text)) continue;
+            texts.add(text);
+            const { aliasOf, ...source } = row;
+            variantRows.push({ ...source, answer: text, variantOf: row.answer });
+        }
+    }
+    return [...rows, ...variantRows];
+}
+
 /**
  * Validate page JSON structure
  * @param {string} pageName - Page name for error messages
@@ -434,7 +805,9 @@ function validatePageJson(pageName, pageData, allPageNames = []) {
     const warnings = [];
 
     // Required: title
-    if (!pageData.title || pageData.title.trim() === '') {
+    if (pageData.title !== undefined && pageData.title !== null && typeof pageData.title !== 'string') {
+        errors.push(`[${pageName}] title은 문자열이어야 합니다.`);
+    } else if (!pageData.title || pageData.title.trim() === '') {
         errors.push(`[${pageName}] title 필드가 필요합니다.`);
     } else if (pageData.title.length > PAGE_VALIDATION.title.maxLength) {
         errors.push(`[${pageName}] title이 ${PAGE_VALIDATION.title.maxLength}자를 초과합니다.`);
@@ -460,7 +833,9 @@ function validatePageJson(pageName, pageData, allPageNames = []) {
             const ans = pageData.answers[i];
 
             // answer text required
-            if (!ans.answer || ans.answer.trim() === '') {
+            if (ans.answer !== undefined && ans.answer !== null && typeof ans.answer !== 'string') {
+                errors.push(`[${pageName}] answers[${i}].answer는 문자열이어야 합니다. (숫자는 "1234"처럼 따옴표로 감싸세요)`);
+            } else if (!ans.answer || ans.answer.trim() === '') {
                 errors.push(`[${pageName}] answers[${i}].answer가 비어있습니다.`);
             }
 
@@ -470,14 +845,68 @@ function validatePageJson(pageName, pageData, allPageNames = []) {
                     errors.push(`[${pageName}] answers[${i}].next가 존재하지 않는 페이지를 참조합니다: "${ans.next}"`);
                 }
             }
+
+            // aliases: non-empty strings
+            if (ans.aliases !== undefined) {
+                if (!Array.isArray(ans.aliases) || ans.aliases.some(a => typeof a !== 'string' || a.trim() === '')) {
+                    errors.push(`[${pageName}] answers[${i}].aliases는 비어있지 않은 문자열 배열이어야 합니다.`);
+                }
+            }
+        }
+
+        // Every answer row (aliases included) becomes its own slot; duplicates can't be told apart
+        const explicitRows = expandAnswers(pageData.answers);
+        const seen = new Set();
+        for (const row of explicitRows) {
+            if (typeof row.answer !== 'string' || !row.answer.trim()) continue;
+            if (seen.has(row.answer)) {
+                errors.push(`[${pageName}] 정답이 중복됩니다: "${row.answer}"`);
+            }
+            seen.add(row.answer);
+        }
+
+        // The site routes each text once: a variant shared by answers with different next is ambiguous
+        const variantTypes = normalizeVariantPolicy(pageData.answer_variants);
+        if (variantTypes.length > 0) {
+            const owners = new Map();
+            explicitRows.forEach(row => owners.set(row.answer, row));
+            const collisions = new Set();
+            for (const row of explicitRows) {
+                if (typeof row.answer !== 'string') continue;
+                for (const text of generateVariants(row.answer, variantTypes)) {
+                    const owner = owners.get(text);
+                    if (!owner) {
+                        owners.set(text, row);
+                    } else if ((owner.next || null) !== (row.next || null)) {
+                        const [a, b] = [owner.answer, row.answer].sort();
+                        collisions.add(`[${pageName}] 정답 변형 충돌: "${text}" ← "${a}", "${b}" (next가 다름, answer_variants 조정 필요)`);
+                    }
+                }
+            }
+            errors.push(...collisions);
         }
     }
 
+    // answer_variants policy
+    const variantError = validateVariantPolicy(pageData.answer_variants);
+    if (variantError) {
+        errors.push(`[${pageName}] ${variantError}`);
+    }
+
     // is_ending validation
     if (pageData.is_ending !== undefined && typeof pageData.is_ending !== 'boolean') {
         warnings.push(`[${pageName}] is_ending은 true/false여야 합니다.`);
     }
 
+    // is_badend: a bad ending is still an ending
+    if (pageData.is_badend !== undefined) {
+        if (typeof pageData.is_badend !== 'boolean') {
+            errors.push(`[${pageName}] is_badend는 true/false여야 합니다.`);
+        } else if (pageData.is_badend && pageData.is_ending !== true) {
+            errors.push(`[${pageName}] is_badend는 is_ending: true인 페이지에만 쓸 수 있습니다.`);
+        }
+    }
+
     return {
         valid: errors.length === 0,
         errors,
@@ -486,21 +915,69 @@ function validatePageJson(pageName, pageData, allPageNames = []) {
 }
 
 /**
- * Validate all pages
+ * Validate all pages, then lint the page graph rooted at the start page
  * @param {object} pages - { pageName: { html, json, meta } }
+ * @param {string|null} [startPage] - Start page name (labyrinth.json start_page)
+ * @param {string|null} [contentPath] - Content root, for shorter image paths in messages
  * @returns {{ valid: boolean, errors: string[], warnings: string[] }}
  */
-function validateAllPages(pages) {
+function validateAllPages(pages, startPage = null, contentPath = null) {
     const allErrors = [];
     const allWarnings = [];
     const allPageNames = Object.keys(pages);
 
+    // Image files by their real contents (signature, truncation, pixel size), once per file
+    const imageUsers = new Map();
+    for (const [name, pageInfo] of Object.entries(pages)) {
+        for (const imagePath of pageInfo.images || []) {
+            if (!imageUsers.has(imagePath)) imageUsers.set(imagePath, []);
+            imageUsers.get(imagePath).push(name);
+        }
+    }
+    for (const [imagePath, users] of imageUsers) {
+        const { error } = checkImageFile(imagePath);
+        if (error) {
+            const shown = contentPath ? path.relative(contentPath, imagePath).replace(/\\/g, '/') : imagePath;
+            allErrors.push(`[${users.join(', ')}] 이미지 ${shown}: ${error}`);
+        }
+    }
+
+    // Local files nothing can upload (fonts, video ...) would be broken paths on the site
+    for (const [name, pageInfo] of Object.entries(pages)) {
+        for (const ref of pageInfo.unsupportedAssets || []) {
+            allWarnings.push(`[${name}] 업로드할 수 없는 로컬 파일: ${ref} (이미지/오디오만 업로드되므로 사이트에서는 깨진 경로로 남습니다)`);
+        }
+    }
+
+    // Audio files by their headers (format, completeness, whether they can fit the limit)
+    const audioUsers = new Map();
+    for (const [name, pageInfo] of Object.entries(pages)) {
+        for (const audioPath of pageInfo.audios || []) {
+            if (!audioUsers.has(audioPath)) audioUsers.set(audioPath, []);
+            audioUsers.get(audioPath).push(name);
+        }
+    }
+    for (const [audioPath, users] of audioUsers) {
+        const { error } = checkAudioFile(audioPath);
+        if (error) {
+            const shown = contentPath ? path.relative(contentPath, audioPath).replace(/\\/g, '/') : audioPath;
+            allErrors.push(`[${users.join(', ')}] 오디오 ${shown}: ${error}`);
+        }
+    }
+
     for (const [name, pageInfo] of Object.entries(pages)) {
+        if (pageInfo.conflict) {
+            allErrors.push(`${name}: 단일 파일(.page.html/.page.md)과 .html/.json 파일에 같은 페이지가 정의되어 있습니다. 한 방식만 남겨주세요.`);
+        }
         const result = validatePageJson(name, pageInfo.json, allPageNames);
         allErrors.push(...result.errors);
         allWarnings.push(...result.warnings);
     }
 
+    const graph = lintPageGraph(pages, startPage);
+    allErrors.push(...graph.errors);
+    allWarnings.push(...graph.warnings);
+
     return {
         valid: allErrors.length === 0,
         errors: allErrors,
@@ -509,59 +986,85 @@ function validateAllPages(pages) {
 }
 
 /**
- * Find all local image references in HTML
+ * Resolve an asset reference like the browser would from the page
+ * @param {string} ref - Path as written (query/fragment removed)
+ * @param {string} contentDir - Directory of the page
+ * @param {string} rootDir - Content root ("/"-prefixed paths)
+ * @returns {string} Absolute path
+ */
+function resolveAssetPath(ref, contentDir, rootDir) {
+    return ref.startsWith('/') ? path.resolve(rootDir, ref.slice(1)) : path.resolve(contentDir, ref);
+}
+
+/**
+ * Find local files of some kind referenced from HTML: src/href/poster,
+ * srcset candidates, data-* paths and url() in style attributes and <style>
+ * blocks (see src/assets.js)
  * @param {string} html - HTML content
- * @param {string} contentPath - Content path for resolving relative paths
- * @returns {string[]} Array of absolute image paths
+ * @param {string[]} formats - Extensions to collect, without the dot
+ * @param {string} label - Asset kind for messages (이미지, 오디오)
+ * @param {string} contentPath - Page content path (file or directory)
+ * @param {string} rootPath - Root content directory (for "/"-prefixed paths)
+ * @returns {string[]} Array of absolute paths
+ * @throws {Error} If a referenced file doesn't exist
  */
-function findLocalImages(html, contentPath, rootPath = null) {
-    const images = [];
+function findLocalAssets(html, formats, label, contentPath, rootPath = null) {
+    const assets = [];
     const notFound = [];
-    const imageExtensions = '(png|jpg|jpeg|gif|webp|bmp)';
-
-    // Match src="..." attributes
-    const srcRegex = new RegExp(`src=["']([^"']+\\.${imageExtensions})["']`, 'gi');
-    // Match url(...) in CSS (background-image, etc.)
-    const urlRegex = new RegExp(`url\\(["']?([^"')]+\\.${imageExtensions})["']?\\)`, 'gi');
-
-    const patterns = [srcRegex, urlRegex];
     const contentDir = fs.statSync(contentPath).isDirectory() ? contentPath : path.dirname(contentPath);
     const rootDir = rootPath ? (fs.statSync(rootPath).isDirectory() ? rootPath : path.dirname(rootPath)) : contentDir;
 
-    for (const regex of patterns) {
-        let match;
-        while ((match = regex.exec(html)) !== null) {
-            let src = match[1];
-            // Skip if already a URL
-            if (src.startsWith('http://') || src.startsWith('https://') || src.startsWith('//') || src.startsWith('data:')) {
-                continue;
-            }
-            // Handle web-style absolute paths (starting with /) as relative to rootDir
-            // Handle relative paths as relative to contentDir
-            let absPath;
-            if (src.startsWith('/')) {
-                absPath = path.resolve(rootDir, src.slice(1));
-            } else {
-                absPath = path.resolve(contentDir, src);
-            }
-            if (fs.existsSync(absPath)) {
-                images.push(absPath);
-            } else {
-                notFound.push({ src: match[1], resolved: absPath });
-            }
+    for (const { url } of scanAssetRefs(html)) {
+        if (!isLocalRef(url)) continue;
+        const ref = refPath(url);
+        if (!formats.includes(path.extname(ref).slice(1).toLowerCase())) continue;
+        const absPath = resolveAssetPath(ref, contentDir, rootDir);
+        if (fs.existsSync(absPath)) {
+            assets.push(absPath);
+        } else {
+            notFound.push({ src: url, resolved: absPath });
         }
     }
 
     if (notFound.length > 0) {
-        log.error(`이미지 파일을 찾을 수 없습니다:`);
+        log.error(`${label} 파일을 찾을 수 없습니다:`);
         for (const { src, resolved } of notFound) {
             log.error(`  - ${src}`);
             log.error(`    (resolved: ${resolved})`);
         }
-        throw new Error(`${notFound.length}개의 이미지 파일을 찾을 수 없습니다.`);
+        throw new Error(`${notFound.length}개의 ${label} 파일을 찾을 수 없습니다.`);
     }
 
-    return [...new Set(images)]; // Remove duplicates
+    return [...new Set(assets)]; // Remove duplicates
+}
+
+/**
+ * Find all local image references in HTML
+ * @param {string} html - HTML content
+ * @param {string} contentPath - Content path for resolving relative paths
+ * @param {string} rootPath - Root content directory (for "/"-prefixed paths)
+ * @returns {string[]} Array of absolute image paths
+ */
+function findLocalImages(html, contentPath, rootPath = null) {
+    return findLocalAssets(html, IMAGE_SOURCE_FORMATS, '이미지', contentPath, rootPath);
+}
+
+/**
+ * Local references the site can't host (fonts, video, other files): not
+ * images or audio, and not plain links. They stay as broken local paths.
+ * @param {string} html - HTML content
+ * @returns {string[]} References as written
+ */
+function findUnsupportedAssets(html) {
+    const hosted = [...IMAGE_SOURCE_FORMATS, ...AUDIO_SOURCE_FORMATS];
+    const refs = scanAssetRefs(html)
+        .filter(({ url, source }) => source !== 'href' && isLocalRef(url))
+        .map(({ url }) => url)
+        .filter(url => {
+            const ext = path.extname(refPath(url)).slice(1).toLowerCase();
+            return ext && !hosted.includes(ext);
+        });
+    return [...new Set(refs)];
 }
 
 /**
@@ -570,9 +1073,12 @@ function findLocalImages(html, contentPath, rootPath = null) {
  * @param {object} page - Puppeteer page (on editor)
  * @param {string[]} imagePaths - Local image paths to upload
  * @param {object} imageCache - Existing checksum -> URL cache
+ * @param {object} [options]
+ * @param {object|null} [options.processing] - normalizeProcessingPolicy(config.image_processing)
+ * @param {string} [options.contentPath] - Content folder (processed copies go to its cache)
  * @returns {Promise<object>} { cache: updated cache, pathMap: localPath -> URL }
  */
-async function uploadNewImages(browser, page, imagePaths, imageCache) {
+async function uploadNewImages(browser, page, imagePaths, imageCache, { processing = null, contentPath = '' } = {}) {
     const updatedCache = { ...imageCache };
     const pathMap = {};
     let failures = 0;
@@ -587,9 +1093,27 @@ async function uploadNewImages(browser, page, imagePaths, imageCache) {
             continue;
         }
 
+        // WebP/AVIF/SVG are converted and oversized images shrunk into the cache;
+        // the URL stays keyed by the original's checksum, so re-runs skip both
+        let uploadPath = imagePath;
+        try {
+            uploadPath = await prepareContentImage(imagePath, processing, path.join(contentPath, IMAGE_CACHE_DIR));
+        } catch (e) {
+            log.error(`    [이미지] 변환 실패: ${path.basename(imagePath)} (${e.message})`);
+            // The site rejects these formats, so uploading the original can only fail
+            if (CONVERTED_IMAGE_EXTENSIONS.includes(path.extname(imagePath).toLowerCase())) {
+                failures++;
+                continue;
+            }
+        }
+        if (uploadPath !== imagePath) {
+            const sizeKB = (fs.statSync(uploadPath).size / 1024).toFixed(0);
+            log.verbose(`    [이미지] ${path.basename(imagePath)} → ${path.extname(uploadPath).slice(1)} 변환됨 (${sizeKB}KB)`);
+        }
+
         log.verbose(`    [이미지] ${path.basename(imagePath)} 업로드 중...`);
         const url = await withRetry(
-            () => uploadImage(browser, page, imagePath),
+            () => uploadImage(browser, page, uploadPath),
             `이미지 업로드: ${path.basename(imagePath)}`
         );
 
@@ -611,7 +1135,7 @@ async function uploadNewImages(browser, page, imagePaths, imageCache) {
 }
 
 /**
- * Replace local image paths in HTML with uploaded URLs
+ * Replace local asset paths in HTML with uploaded URLs
  * Normalizes all paths to root-relative before matching
  * to avoid collisions when multiple folders have same-named files.
  * @param {string} html - HTML content
@@ -620,7 +1144,7 @@ async function uploadNewImages(browser, page, imagePaths, imageCache) {
  * @param {string} rootDir - Content root directory
  * @returns {string} HTML with replaced URLs
  */
-function replaceLocalImages(html, pathMap, contentDir, rootDir) {
+function replaceLocalAssets(html, pathMap, contentDir, rootDir) {
     // Build root-relative -> URL map
     const relMap = {};
     for (const [absPath, url] of Object.entries(pathMap)) {
@@ -628,91 +1152,36 @@ function replaceLocalImages(html, pathMap, contentDir, rootDir) {
         relMap[rel] = url;
     }
 
-    let result = html;
-    const imageExtensions = '(png|jpg|jpeg|gif|webp|bmp)';
-    const srcRegex = new RegExp(`src=["']([^"']+\\.${imageExtensions})["']`, 'gi');
-    const urlRegex = new RegExp(`url\\(["']?([^"')]+\\.${imageExtensions})["']?\\)`, 'gi');
-
-    function replacer(match, src) {
-        if (src.startsWith('http://') || src.startsWith('https://') || src.startsWith('//') || src.startsWith('data:')) {
-            return match;
-        }
-        let absPath;
-        if (src.startsWith('/')) {
-            absPath = path.resolve(rootDir, src.slice(1));
-        } else {
-            absPath = path.resolve(contentDir, src);
-        }
+    return rewriteAssetRefs(html, (url) => {
+        if (!isLocalRef(url)) return null;
+        const absPath = resolveAssetPath(refPath(url), contentDir, rootDir);
         const rel = path.relative(rootDir, absPath).replace(/\\/g, '/');
-        if (relMap[rel]) {
-            return match.replace(src, relMap[rel]);
-        }
-        return match;
-    }
-
-    result = result.replace(srcRegex, replacer);
-    result = result.replace(urlRegex, replacer);
-
-    return result;
+        return relMap[rel] || null;
+    });
 }
 
 /**
- * Find all local audio references in HTML.
- * Matches <audio src=...>, <source src=...> and any src/href with an audio extension.
+ * Find all local audio references in HTML
  * @param {string} html - HTML content
  * @param {string} contentPath - Page content path (file or directory)
  * @param {string} rootPath - Root content directory (for "/"-prefixed paths)
  * @returns {string[]} Array of absolute audio paths
  */
 function findLocalAudio(html, contentPath, rootPath = null) {
-    const audios = [];
-    const notFound = [];
-    const audioExtensions = `(${AUDIO_CONSTRAINTS.allowedFormats.join('|')})`;
-
-    // src="..." attributes (covers <audio>, <source>, generic media tags)
-    const srcRegex = new RegExp(`src=["']([^"']+\\.${audioExtensions})["']`, 'gi');
-    // href="..." (covers <a href="..mp3">)
-    const hrefRegex = new RegExp(`href=["']([^"']+\\.${audioExtensions})["']`, 'gi');
-
-    const patterns = [srcRegex, hrefRegex];
-    const contentDir = fs.statSync(contentPath).isDirectory() ? contentPath : path.dirname(contentPath);
-    const rootDir = rootPath ? (fs.statSync(rootPath).isDirectory() ? rootPath : path.dirname(rootPath)) : contentDir;
-
-    for (const regex of patterns) {
-        let match;
-        while ((match = regex.exec(html)) !== null) {
-            const src = match[1];
-            if (src.startsWith('http://') || src.startsWith('https://') || src.startsWith('//') || src.startsWith('data:')) {
-                continue;
-            }
-            const absPath = src.startsWith('/')
-                ? path.resolve(rootDir, src.slice(1))
-                : path.resolve(contentDir, src);
-            if (fs.existsSync(absPath)) {
-                audios.push(absPath);
-            } else {
-                notFound.push({ src: match[1], resolved: absPath });
-            }
-        }
-    }
-
-    if (notFound.length > 0) {
-        log.error(`오디오 파일을 찾을 수 없습니다:`);
-        for (const { src, resolved } of notFound) {
-            log.error(`  - ${src}`);
-            log.error(`    (resolved: ${resolved})`);
-        }
-        throw new Error(`${notFound.length}개의 오디오 파일을 찾을 수 없습니다.`);
-    }
-
-    return [...new Set(audios)];
+    return findLocalAssets(html, AUDIO_SOURCE_FORMATS, '오디오', contentPath, rootPath);
 }
 
 /**
  * Upload audios and update audio cache.
+ * @param {object} browser - Puppeteer browser
+ * @param {object} page - Puppeteer page
+ * @param {string[]} audioPaths - Absolute audio paths
+ * @param {object} audioCache - checksum -> URL
+ * @param {object} [options]
+ * @param {string} [options.contentPath] - Content root (transcoded audio cache lives under it)
  * @returns {Promise<{cache, pathMap, failures}>}
  */
-async function uploadNewAudios(browser, page, audioPaths, audioCache) {
+async function uploadNewAudios(browser, page, audioPaths, audioCache, { contentPath = '' } = {}) {
     const updatedCache = { ...audioCache };
     const pathMap = {};
     let failures = 0;
@@ -726,9 +1195,23 @@ async function uploadNewAudios(browser, page, audioPaths, audioCache) {
             continue;
         }
 
+        // Oversized and OGG/M4A audio is transcoded to MP3 into the cache; the
+        // URL stays keyed by the original's checksum, so re-runs skip both
+        let uploadPath = audioPath;
+        try {
+            uploadPath = await prepareAudio(audioPath, path.join(contentPath, AUDIO_CACHE_DIR));
+        } catch (e) {
+            log.error(`    [오디오] 변환 실패: ${path.basename(audioPath)} (${e.message})`);
+        }
+        if (uploadPath !== audioPath) {
+            const sizeKB = (fs.statSync(uploadPath).size / 1024).toFixed(0);
+            const info = readAudioInfo(uploadPath);
+            log.verbose(`    [오디오] ${path.basename(audioPath)} → mp3 변환됨 (${sizeKB}KB${info ? `, ${formatAudioInfo(info)}` : ''})`);
+        }
+
         log.verbose(`    [오디오] ${path.basename(audioPath)} 업로드 중...`);
         const url = await withRetry(
-            () => uploadAudio(browser, page, audioPath),
+            () => uploadAudio(browser, page, uploadPath),
             `오디오 업로드: ${path.basename(audioPath)}`
         );
 
@@ -748,42 +1231,6 @@ async function uploadNewAudios(browser, page, audioPaths, audioCache) {
     return { cache: updatedCache, pathMap, failures };
 }
 
-/**
- * Replace local audio paths in HTML with uploaded URLs.
- * Mirrors replaceLocalImages but limited to audio extensions.
- */
-function replaceLocalAudio(html, pathMap, contentDir, rootDir) {
-    const relMap = {};
-    for (const [absPath, url] of Object.entries(pathMap)) {
-        const rel = path.relative(rootDir, absPath).replace(/\\/g, '/');
-        relMap[rel] = url;
-    }
-
-    let result = html;
-    const audioExtensions = `(${AUDIO_CONSTRAINTS.allowedFormats.join('|')})`;
-    const srcRegex = new RegExp(`src=["']([^"']+\\.${audioExtensions})["']`, 'gi');
-    const hrefRegex = new RegExp(`href=["']([^"']+\\.${audioExtensions})["']`, 'gi');
-
-    function replacer(match, src) {
-        if (src.startsWith('http://') || src.startsWith('https://') || src.startsWith('//') || src.startsWith('data:')) {
-            return match;
-        }
-        const absPath = src.startsWith('/')
-            ? path.resolve(rootDir, src.slice(1))
-            : path.resolve(contentDir, src);
-        const rel = path.relative(rootDir, absPath).replace(/\\/g, '/');
-        if (relMap[rel]) {
-            return match.replace(src, relMap[rel]);
-        }
-        return match;
-    }
-
-    result = result.replace(srcRegex, replacer);
-    result = result.replace(hrefRegex, replacer);
-
-    return result;
-}
-
 /**
  * Replace page paths with page IDs in ONLY-VIEW comments
  * e.g. <!-- ONLY-VIEW-START IN=[page/start] --> → <!-- ONLY-VIEW-START IN=[12345] -->
@@ -828,36 +1275,25 @@ function replaceGoPagePaths(html, pageIdMap) {
 }
 
 /**
- * Collect page-name references in HTML content.
- * Looks inside ONLY-VIEW conditions (IN/INOR/EX/EXOR=[...]) and goPage('path') calls.
- * Numeric values (already-resolved IDs) are ignored.
- * @param {string} html - Page HTML content
- * @returns {string[]} - Unique referenced page names (non-numeric paths)
- */
-function findContentPageRefs(html) {
-    const refs = new Set();
-    if (!html) return [];
-
-    // ONLY-VIEW conditions
-    const onlyView = html.match(/<!--\s*ONLY-VIEW-START\s+(.*?)\s*-->/g) || [];
-    for (const block of onlyView) {
-        const condMatches = block.matchAll(/(?:IN|INOR|EX|EXOR)=\[([^\]]*)\]/g);
-        for (const m of condMatches) {
-            m[1].split(',').forEach(v => {
-                const t = v.trim();
-                if (t && !/^\d+$/.test(t)) refs.add(t);
-            });
-        }
-    }
-
-    // goPage('path')
-    const goPage = html.matchAll(/goPage\('([^']+)'\)/g);
-    for (const m of goPage) {
-        const t = m[1].trim();
-        if (t && !/^\d+$/.test(t)) refs.add(t);
-    }
-
-    return [...refs];
+ * Inverse of replaceVisitPaths + replaceGoPagePaths: turn numeric page IDs in
+ * ONLY-VIEW conditions and goPage() calls back into page paths.
+ * IDs with no known page are left as-is.
+ * @param {string} html - Page HTML content (as stored on the site)
+ * @param {object} idToName - Map of page ID → page name
+ * @returns {string} - HTML with IDs replaced by page paths
+ */
+function restorePagePaths(html, idToName) {
+    let result = html.replace(/<!--\s*ONLY-VIEW-START\s+(.*?)\s*-->/g, (match, conditions) => {
+        const replaced = conditions.replace(/((?:IN|INOR|EX|EXOR)=)\[([^\]]*)\]/g, (m, prefix, values) => {
+            const names = values.split(',').map(v => idToName[v.trim()] || v.trim());
+            return `${prefix}[${names.join(',')}]`;
+        });
+        return `<!-- ONLY-VIEW-START ${replaced} -->`;
+    });
+    result = result.replace(/goPage\('(\d+)'\)/g, (match, id) => {
+        return idToName[id] ? `goPage('${idToName[id]}')` : match;
+    });
+    return result;
 }
 
 /**
@@ -965,10 +1401,1990 @@ function determinePageStates(htmlNames, jsonNames, metaNames, pageIds, metas) {
     return states;
 }
 
-async function main() {
-    // Parse CLI arguments
-    const args = parseArgs();
-    OPTIONS = args;
+/**
+ * Page name of a content file, or null if it isn't a page file
+ * @param {string} relPath - File path relative to contentPath ("/" separators)
+ * @returns {string|null}
+ */
+function pageNameOfFile(relPath) {
+    for (const suffix of [...SINGLE_PAGE_SUFFIXES, ...PAGE_BODY_EXTENSIONS, '.json']) {
+        if (relPath.endsWith(suffix)) return relPath.slice(0, -suffix.length);
+    }
+    return null;
+}
+
+/**
+ * Page renames recorded in git (`git mv`, staged or not yet committed).
+ * Returns an empty map when the content folder isn't in a git work tree.
+ * @param {string} contentPath - Path to content directory
+ * @returns {object} { oldPageName: newPageName }
+ */
+function findGitRenames(contentPath) {
+    let root, output;
+    try {
+        const gitOptions = { cwd: contentPath, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] };
+        root = execFileSync('git', ['rev-parse', '--show-toplevel'], gitOptions).trim();
+        output = execFileSync('git', ['status', '--porcelain=v1', '-z', '--untracked-files=no', '--', '.'], gitOptions);
+    } catch (e) {
+        return {};
+    }
+
+    // Paths are relative to the repository root; the content folder may be a subfolder
+    const realContentPath = fs.realpathSync(contentPath);
+    const toPageName = (file) => {
+        const rel = path.relative(realContentPath, path.join(root, file)).replace(/\\/g, '/');
+        return rel.startsWith('..') ? null : pageNameOfFile(rel);
+    };
+
+    // -z rename entries are "R  new\0old\0"
+    const renames = {};
+    const entries = output.split('\0');
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        if (!entry.startsWith('R')) continue;
+        const to = toPageName(entry.slice(3));
+        const from = toPageName(entries[++i] || '');
+        if (from && to && from !== to) {
+            renames[from] = to;
+        }
+    }
+    return renames;
+}
+
+/**
+ * Pair pages whose files vanished (residual_meta) with new pages that are the
+ * same page under another name, so they keep the site page ID instead of being
+ * deleted and recreated. A pair is made from a git rename, or else from an
+ * identical content hash when exactly one vanished page and one new page share it.
+ *
+ * Mutates `states` (renamed pages move from new/residual_meta to normal and are
+ * listed in states.renamed), `pages[to].meta` and `metas[to]`.
+ * @param {string} contentPath - Path to content directory
+ * @param {object} states - Result of determinePageStates
+ * @param {object} pages - Loaded pages
+ * @param {object} metas - Loaded metas
+ */
+function detectRenames(contentPath, states, pages, metas) {
+    states.renamed = [];
+    const vanished = states.residual_meta.filter(item => item.id && item.inPageIds);
+    if (vanished.length === 0 || states.new.length === 0) return;
+
+    const pairs = [];
+    const gitRenames = findGitRenames(contentPath);
+    for (const item of vanished) {
+        const to = gitRenames[item.name];
+        if (to && states.new.includes(to) && pages[to]) {
+            pairs.push({ from: item.name, to, id: item.id, via: 'git' });
+        }
+    }
+
+    const pairedFrom = new Set(pairs.map(p => p.from));
+    const pairedTo = new Set(pairs.map(p => p.to));
+    const byHash = (hash, list) => list.filter(x => x.hash === hash);
+    const vanishedLeft = vanished
+        .filter(item => !pairedFrom.has(item.name) && metas[item.name].hash)
+        .map(item => ({ ...item, hash: metas[item.name].hash }));
+    const newLeft = states.new
+        .filter(name => !pairedTo.has(name) && pages[name])
+        .map(name => ({ name, hash: pages[name].hash }));
+    for (const item of vanishedLeft) {
+        const candidates = byHash(item.hash, newLeft);
+        // Identical pages are ambiguous: leave them as delete + create
+        if (candidates.length === 1 && byHash(item.hash, vanishedLeft).length === 1) {
+            pairs.push({ from: item.name, to: candidates[0].name, id: item.id, via: 'hash' });
+        }
+    }
+
+    for (const pair of pairs) {
+        states.new = states.new.filter(name => name !== pair.to);
+        states.residual_meta = states.residual_meta.filter(item => item.name !== pair.from);
+        states.normal.push(pair.to);
+        states.renamed.push(pair);
+        pages[pair.to].meta = metas[pair.from];
+        metas[pair.to] = metas[pair.from];
+    }
+}
+
+/**
+ * Scan the content folder and load every page's HTML, JSON, meta and hash.
+ * Pages are loaded from HTML + JSON pairs and from single-file pages; meta-only
+ * files still end up in `metas` so determinePageStates can see them. A page
+ * defined both ways is loaded from the single file and marked with `conflict`
+ * (reported by validateAllPages).
+ * @param {string} contentPath - Path to content directory
+ * @param {string[]} pageIds - Known page IDs from labyrinth.meta
+ * @param {object} [options]
+ * @param {boolean} [options.skipMeta=false] - Treat every page as having no meta (new labyrinth)
+ * @param {object} [options.config] - labyrinth.json contents (answer_variants default, template variables)
+ * @returns {{ htmlNames: string[], jsonNames: string[], singleNames: string[], metaNames: string[], pages: object, metas: object, states: object }}
+ *   pages[name].html is the rendered template (includes, layout and variables applied)
+ */
+function loadPages(contentPath, pageIds, { skipMeta = false, config = {} } = {}) {
+    const htmlNames = findPageHtmlFiles(contentPath);
+    const jsonNames = findPageJsonFiles(contentPath);
+    const singleNames = findSinglePageFiles(contentPath);
+    const metaNames = skipMeta ? [] : findPageMetaFiles(contentPath);
+    const buildOptions = pageBuildOptions(config);
+
+    const pages = {};
+    const metas = {};
+
+    // Page sources: HTML + JSON pairs, then single files (which win on conflict)
+    const sources = {};
+    for (const name of htmlNames) {
+        if (jsonNames.includes(name)) {
+            sources[name] = { source: readPageHtml(contentPath, name), json: readPageJson(contentPath, name), conflict: false };
+        }
+    }
+    for (const name of singleNames) {
+        const single = readSinglePage(contentPath, name);
+        const conflict = htmlNames.includes(name) || jsonNames.includes(name);
+        sources[name] = { source: single.html, json: single.json, conflict };
+    }
+
+    for (const [name, { source, json, conflict }] of Object.entries(sources)) {
+        const meta = skipMeta ? {} : readPageMeta(contentPath, name);
+        // Pages inherit labyrinth.json's answer_variants unless they set their own
+        if (json && json.answer_variants === undefined && config.answer_variants !== undefined) {
+            json.answer_variants = config.answer_variants;
+        }
+        if (source && json) {
+            const pageDir = path.dirname(path.join(contentPath, `${name}.html`));
+
+            // Expand includes/layout/variables; everything below sees the rendered HTML
+            let rendered;
+            try {
+                rendered = renderPageTemplate(source, json, { pageDir, rootDir: contentPath, config });
+            } catch (e) {
+                throw new Error(`${name}: ${e.message}`);
+            }
+            const html = rendered.html;
+
+            // Calculate image + audio checksums for change detection
+            const localImages = findLocalImages(html, pageDir, contentPath);
+            const localAudios = findLocalAudio(html, pageDir, contentPath);
+
+            // Also include explanation images in checksums
+            const answers = json.answers || [];
+            for (const ans of answers) {
+                if (ans.explanation && ans.explanation.includes('<')) {
+                    try {
+                        const explImages = findLocalImages(ans.explanation, pageDir, contentPath);
+                        localImages.push(...explImages);
+                        const explAudios = findLocalAudio(ans.explanation, pageDir, contentPath);
+                        localAudios.push(...explAudios);
+                    } catch (e) {
+                        // Ignore errors in explanation asset detection for hash calculation
+                    }
+                }
+            }
+
+            const images = [...new Set(localImages)];
+            const audios = [...new Set(localAudios)];
+            const assetChecksums = [
+                ...images.map(p => calculateChecksum(p)),
+                ...audios.map(p => calculateChecksum(p)),
+                ...rendered.files.map(p => calculateChecksum(p))
+            ];
+            pages[name] = {
+                html, json, meta, images, audios, conflict,
+                unsupportedAssets: findUnsupportedAssets(html),
+                templateFiles: rendered.files,
+                unknownVars: rendered.unknownVars,
+                hash: computePageHash(html, json, assetChecksums, buildOptions)
+            };
+        }
+        metas[name] = meta;
+    }
+
+    // Load meta-only files
+    for (const name of metaNames) {
+        if (!metas[name]) {
+            metas[name] = readPageMeta(contentPath, name);
+        }
+    }
+
+    // Single files count as both halves of a pair
+    const bodyNames = [...new Set([...htmlNames, ...singleNames])];
+    const dataNames = [...new Set([...jsonNames, ...singleNames])];
+    const states = determinePageStates(bodyNames, dataNames, metaNames, pageIds, metas);
+    detectRenames(contentPath, states, pages, metas);
+
+    return { htmlNames, jsonNames, singleNames, metaNames, pages, metas, states };
+}
+
+/**
+ * Describe abnormal page states as human-readable warnings
+ * @param {object} states - Result of determinePageStates
+ * @returns {string[]}
+ */
+function describePageStates(states) {
+    const warnings = [];
+
+    for (const item of states.json_missing) {
+        warnings.push(`[${item.name}] HTML은 있지만 JSON이 없음 - 건너뜀`);
+    }
+    for (const item of states.html_missing) {
+        warnings.push(`[${item.name}] JSON은 있지만 HTML이 없음 - 건너뜀`);
+    }
+    for (const item of states.pageIds_missing) {
+        warnings.push(`[${item.name}] 목록에서 누락됨 (ID: ${item.id}) - 삭제 후 재생성`);
+    }
+    for (const item of states.residual_meta) {
+        warnings.push(`[${item.name}] 잔여 메타 파일 (ID: ${item.id}) - 정리 예정`);
+    }
+    if (states.orphan.length > 0) {
+        warnings.push(`미사용 페이지 ID: ${states.orphan.join(', ')} - 사이트에서 삭제 예정`);
+    }
+
+    return warnings;
+}
+
+/**
+ * Decide what Steps 3-5 will do with each page: create, update in place, leave
+ * alone, or delete. Pages in `pageIds_missing` get their meta reset (they are
+ * recreated), so this mutates `pages[name].meta` for those entries.
+ * @param {object} pages - { pageName: { html, json, meta, hash } }
+ * @param {object} states - Result of determinePageStates
+ * @param {string[]} pageIds - Known page IDs from labyrinth.meta
+ * @returns {object} Page lists and sets consumed by Steps 3-6
+ */
+function planPageChanges(pages, states, pageIds) {
+    const newPages = [...states.new];
+    const updatedPages = [];
+    const unchangedPages = [];
+
+    // Normal pages: check if content changed.
+    // Answer changes are now handled IN PLACE (no delete-recreate): the page keeps
+    // its ID, so child connections bound to per-row routes survive. syncAnswers()
+    // overwrites/appends/deletes rows without clearing every slot.
+    const answersChangedPages = new Set();
+    // Child page paths that an in-place parent STOPPED pointing to (answer dropped or
+    // re-pointed). Their stale parent link must be cleared in Step 6 even though they
+    // are no longer a connection target.
+    const droppedChildTargets = new Set();
+    // A renamed child keeps its ID, so a parent now pointing at the new name didn't drop it
+    const renamedTo = Object.fromEntries((states.renamed || []).map(r => [r.from, r.to]));
+    for (const name of states.normal) {
+        const pageInfo = pages[name];
+        if (pageInfo.meta.hash !== pageInfo.hash) {
+            const oldAnswers = pageInfo.meta.answers || [];
+            const newAnswers = expandAnswers(pageInfo.json.answers, pageInfo.json.answer_variants).map(a => a.answer);
+            const answersChanged = oldAnswers.length !== newAnswers.length ||
+                oldAnswers.some((a, i) => a !== newAnswers[i]);
+            if (answersChanged) {
+                answersChangedPages.add(name);
+            }
+            // Independently of text changes, compare old vs new answer targets to find
+            // children this page STOPPED pointing to (answer dropped or next re-pointed).
+            // A pure next-remap (same text) still needs the old child's link cleared.
+            const oldTargets = pageInfo.meta.answerTargets || [];
+            const newTargets = new Set(expandAnswers(pageInfo.json.answers, pageInfo.json.answer_variants).map(a => a.next).filter(Boolean));
+            for (const t of oldTargets) {
+                if (t && !newTargets.has(t) && !newTargets.has(renamedTo[t])) droppedChildTargets.add(t);
+            }
+            updatedPages.push({ name });
+        } else {
+            unchangedPages.push(name);
+        }
+    }
+
+    // pageIds_missing: meta has an ID the site list doesn't know — recreate.
+    // (These are genuinely gone from the site, so there's nothing to update in place.)
+    const pagesToDeleteBeforeRecreate = [];
+    for (const item of states.pageIds_missing) {
+        // The page is already absent from the site list; only delete if it still
+        // resolves (deletePage tolerates already-deleted), then recreate.
+        pagesToDeleteBeforeRecreate.push(item.id);
+        newPages.push(item.name);
+        pages[item.name].meta = {};
+    }
+
+    // Every changed normal page is updated in place now (recreate path removed).
+    const pagesToUpdateInPlace = updatedPages.map(item => item.name);
+
+    // Pages to delete (orphans, residual_meta with IDs)
+    const pagesToDelete = [...states.orphan];
+    for (const item of states.residual_meta) {
+        if (item.id && item.inPageIds) {
+            pagesToDelete.push(item.id);
+        }
+    }
+
+    // Meta files to clean up
+    const metasToDelete = [];
+    for (const item of states.json_missing) {
+        if (item.hasMeta) {
+            metasToDelete.push(item.name);
+            if (item.metaId && pageIds.includes(item.metaId)) {
+                pagesToDelete.push(item.metaId);
+            }
+        }
+    }
+    for (const item of states.html_missing) {
+        if (item.hasMeta) {
+            metasToDelete.push(item.name);
+            if (item.metaId && pageIds.includes(item.metaId)) {
+                pagesToDelete.push(item.metaId);
+            }
+        }
+    }
+    for (const item of states.residual_meta) {
+        metasToDelete.push(item.name);
+    }
+    // Renamed pages: the meta moves to the new name (written before this cleanup)
+    const renamedPages = states.renamed || [];
+    for (const item of renamedPages) {
+        metasToDelete.push(item.from);
+    }
+
+    return {
+        newPages,
+        renamedPages,
+        pagesToUpdateInPlace,
+        unchangedPages,
+        answersChangedPages,
+        droppedChildTargets,
+        pagesToDelete,
+        pagesToDeleteBeforeRecreate,
+        metasToDelete
+    };
+}
+
+/**
+ * Collect the parent connections Step 6 has to (re)establish, keyed by target page ID.
+ * Scans ALL pages' answers (not just new/updated) because existing unchanged pages
+ * might have answers pointing to new pages.
+ * @param {object} pages - { pageName: { json, meta } }
+ * @param {object} pageIdMap - Map of page name → page ID
+ * @param {Set<string>} newPageIds - IDs of pages created this run
+ * @param {string[]} pagesToUpdate - Names of pages whose content was (re)written this run
+ * @param {Set<string>} droppedTargetIds - IDs of children an in-place parent stopped pointing to
+ * @returns {object} { targetPageId: [{ fromPageId, answerIndex, fromName, answer }] }
+ */
+function collectConnections(pages, pageIdMap, newPageIds, pagesToUpdate, droppedTargetIds) {
+    const connections = {};
+
+    // Children whose stale parent link must be revisited even though they may not be a
+    // current connection target: pages an in-place parent stopped pointing to. We add
+    // them as targets with an EMPTY-but-rebuilt source list so clearParentConnections
+    // wipes the stale link, and any still-valid parents get re-added by the scan below.
+    for (const id of droppedTargetIds) {
+        if (!connections[id]) connections[id] = [];
+    }
+
+    // id -> name (inverse of pageIdMap), for target lookups in the scan below.
+    const idToName = Object.fromEntries(Object.entries(pageIdMap).map(([n, i]) => [i, n]));
+
+    // Scan all pages' answers. A connection is (re)processed when the target is new,
+    // the source is new/updated, OR the target is a dropped child being cleaned up.
+    for (const [name, pageInfo] of Object.entries(pages)) {
+        const pageData = pageInfo.json;
+        const fromPageId = pageIdMap[name];
+
+        if (!fromPageId) continue;
+
+        // answerIndex is the slot, so aliases each get (and connect) their own row
+        const answers = expandAnswers(pageData.answers, pageData.answer_variants);
+        answers.forEach((ans, idx) => {
+            if (ans.next && pageIdMap[ans.next]) {
+                const targetPageId = pageIdMap[ans.next];
+                const targetName = idToName[targetPageId];
+                const isTargetNew = newPageIds.has(targetPageId);
+                const isSourceNewOrUpdated = pagesToUpdate.includes(name);
+                const isDroppedTarget = droppedTargetIds.has(targetPageId);
+                // A target whose hash was cleared by a previous failed connection
+                // (now in pagesToUpdate) must be reprocessed so the retry actually runs.
+                const isTargetUpdated = targetName && pagesToUpdate.includes(targetName);
+
+                if (isTargetNew || isSourceNewOrUpdated || isDroppedTarget || isTargetUpdated) {
+                    if (!connections[targetPageId]) {
+                        connections[targetPageId] = [];
+                    }
+                    connections[targetPageId].push({
+                        fromPageId: fromPageId,
+                        answerIndex: idx + 1,
+                        fromName: name,
+                        answer: ans.answer
+                    });
+                }
+            }
+        });
+    }
+
+    return connections;
+}
+
+/**
+ * Measure page sizes against labyrinth.json `size_budget` and write
+ * .cache/size-report.json in the content folder
+ * @param {object} pages - loadPages() result
+ * @param {object} config - labyrinth.json contents
+ * @param {string} contentPath - Path to content directory
+ * @returns {object} buildSizeReport result
+ */
+function reportPageSizes(pages, config, contentPath) {
+    const report = buildSizeReport(pages, {
+        minifyOptions: normalizeMinifyOptions(config.minify),
+        obfuscateOptions: normalizeObfuscateOptions(config.obfuscate),
+        budget: normalizeSizeBudget(config.size_budget)
+    });
+    writeSizeReport(report, path.join(contentPath, SIZE_REPORT_FILE));
+    return report;
+}
+
+/**
+ * `validate` command: check page JSON and the page graph without logging in
+ * @param {object} config - labyrinth.json contents
+ * @param {string} contentPath - Path to content directory
+ * @returns {boolean} true if there were no errors
+ */
+function runValidate(config, contentPath) {
+    const { pages, states } = loadPages(contentPath, [], { skipMeta: true, config });
+    const firstPage = config.first_page || config.start_page || null;
+
+    const errors = [];
+    const warnings = [
+        ...describePageStates(states).filter(w => !w.includes('미사용 페이지 ID')),
+    ];
+    if (firstPage && !pages[firstPage]) {
+        errors.push(`시작 페이지를 찾을 수 없습니다: "${firstPage}"`);
+    }
+    const pageValidation = validateAllPages(pages, firstPage, contentPath);
+    errors.push(...pageValidation.errors);
+    warnings.push(...pageValidation.warnings);
+    for (const [name, pageInfo] of Object.entries(pages)) {
+        if (pageInfo.unknownVars.length > 0) {
+            warnings.push(`${name}: 알 수 없는 템플릿 변수: ${pageInfo.unknownVars.map(v => `{{${v}}}`).join(', ')}`);
+        }
+    }
+    const sizeReport = reportPageSizes(pages, config, contentPath);
+    warnings.push(...describeOverBudget(sizeReport).map(w => `크기 예산 초과 - ${w}`));
+
+    const endings = Object.values(pages).filter(p => p.json.is_ending === true);
+    const badends = endings.filter(p => p.json.is_badend === true);
+    log.info(`페이지: ${Object.keys(pages).length}개 (엔딩 ${endings.length - badends.length}, 배드엔딩 ${badends.length})`);
+    log.verbose('');
+    log.verbose(`[크기] ${SIZE_REPORT_FILE}`);
+    formatSizeTable(sizeReport).forEach(line => log.verbose(`  ${line}`));
+    if (errors.length > 0) {
+        log.info('');
+        log.error('[오류]');
+        errors.forEach(e => log.error(`  - ${e}`));
+    }
+    if (warnings.length > 0) {
+        log.info('');
+        log.info('[경고]');
+        warnings.forEach(w => log.info(`  - ${w}`));
+    }
+
+    log.info('');
+    if (errors.length > 0) {
+        log.error(`검증 실패 (오류 ${errors.length}, 경고 ${warnings.length})`);
+        return false;
+    }
+    log.info(`검증 통과 (경고 ${warnings.length})`);
+    return true;
+}
+
+/**
+ * Export the page graph (graph command). Writes to stdout unless --output is
+ * given, so the result can be piped straight into `dot` or a Markdown file.
+ * @param {object} config - labyrinth.json contents
+ * @param {string} contentPath - Absolute content folder path
+ * @param {{ format: string, output: string|null }} args
+ */
+function runGraph(config, contentPath, args) {
+    const render = GRAPH_FORMATS[args.format];
+    if (!render) {
+        throw new Error(`지원하지 않는 그래프 형식입니다: "${args.format}" (${Object.keys(GRAPH_FORMATS).join(', ')})`);
+    }
+
+    const { pages } = loadPages(contentPath, [], { skipMeta: true, config });
+    const firstPage = config.first_page || config.start_page || null;
+    const output = render(buildPageGraph(pages), firstPage);
+
+    if (args.output) {
+        fs.writeFileSync(path.resolve(args.output), output);
+        log.success(`그래프 저장: ${args.output} (${args.format}, 페이지 ${Object.keys(pages).length}개)`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+/**
+ * `preview` command: serve the content folder on a local HTTP server.
+ * Pages are reloaded on every request and local images/audio are rewritten
+ * to /assets/ URLs, resolved the same way as for upload.
+ * @param {object} config - labyrinth.json contents
+ * @param {string} contentPath - Absolute content folder path
+ * @param {{ port: number }} args
+ */
+async function runPreview(config, contentPath, args) {
+    if (!Number.isInteger(args.port) || args.port < 1 || args.port > 65535) {
+        throw new Error('--port는 1-65535 사이의 숫자여야 합니다.');
+    }
+
+    const getPages = () => {
+        const { pages } = loadPages(contentPath, [], { skipMeta: true, config });
+        const previewPages = {};
+        for (const [name, pageInfo] of Object.entries(pages)) {
+            const pageDir = path.dirname(path.join(contentPath, `${name}.html`));
+            const assetMap = {};
+            for (const assetPath of [...pageInfo.images, ...pageInfo.audios]) {
+                const rel = path.relative(contentPath, assetPath).split(path.sep);
+                assetMap[assetPath] = '/assets/' + rel.map(encodeURIComponent).join('/');
+            }
+            const html = replaceLocalAssets(pageInfo.html, assetMap, pageDir, contentPath);
+            // Match what the site will accept: aliases and generated variants included
+            const answers = expandAnswers(pageInfo.json.answers, pageInfo.json.answer_variants);
+            previewPages[name] = { html, json: { ...pageInfo.json, answers } };
+        }
+        return previewPages;
+    };
+
+    const startPage = config.first_page || config.start_page || null;
+    const pageCount = Object.keys(getPages()).length;
+
+    await startPreviewServer({ contentPath, startPage, getPages, port: args.port });
+    log.info(`페이지: ${pageCount}개`);
+    log.info(`시작 페이지: ${startPage || '(없음)'}`);
+    log.info('');
+    log.success(`미리보기 서버: http://localhost:${args.port}/`);
+    log.info('파일을 고치면 새로고침만 하면 됩니다. 종료: Ctrl+C');
+}
+
+/**
+ * Print every site action an upload would perform, without launching a browser.
+ * Mirrors Steps 2-6 of main(): labyrinth create/update, page deletes, creates,
+ * in-place updates (incl. syncAnswers row changes), asset uploads and parent
+ * connections.
+ * @param {object} config - labyrinth.json contents
+ * @param {string} contentPath - Path to content directory
+ */
+function printUploadPlan(config, contentPath) {
+    const metaPath = path.join(contentPath, 'labyrinth.meta');
+    const isNewLabyrinth = !fs.existsSync(metaPath);
+    const labyMeta = isNewLabyrinth ? {} : JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    const pageIds = labyMeta.pageIds || [];
+    const imageCache = labyMeta.images || {};
+    const audioCache = labyMeta.audio || {};
+
+    // Step 2: labyrinth
+    const currentHash = computeLabyrinthHash(config, contentPath);
+    if (!labyMeta.id) {
+        log.section(2, 6, '미궁 생성');
+    } else if (labyMeta.hash !== currentHash) {
+        log.section(2, 6, `미궁 정보 수정 (ID: ${labyMeta.id})`);
+    } else {
+        log.section(2, 6, `미궁 정보 (변경 없음, ID: ${labyMeta.id})`);
+    }
+    if (isNewLabyrinth && findPageMetaFiles(contentPath).length > 0) {
+        log.item('labyrinth.meta가 없으므로 기존 페이지 메타 파일은 모두 정리됩니다');
+    }
+
+    // A new labyrinth starts from scratch: main() wipes every page meta first.
+    const { pages, metas, states } = loadPages(contentPath, pageIds, { skipMeta: isNewLabyrinth, config });
+
+    const warnings = describePageStates(states);
+    if (warnings.length > 0) {
+        log.info('');
+        log.info('  [주의]');
+        warnings.forEach(w => log.info(`    ${w}`));
+    }
+
+    const firstPage = config.first_page || config.start_page || null;
+    const pageValidation = validateAllPages(pages, firstPage, contentPath);
+    if (pageValidation.warnings.length > 0) {
+        log.info('');
+        log.info('  [검증 주의사항]');
+        pageValidation.warnings.forEach(w => log.info(`    ${w}`));
+    }
+    if (!pageValidation.valid) {
+        log.error('');
+        log.error('페이지 검증 실패 (실제 업로드는 중단됩니다):');
+        pageValidation.errors.forEach(e => log.error(`  - ${e}`));
+    }
+
+    if (firstPage && !Object.keys(pages).includes(firstPage)) {
+        log.error(`시작 페이지를 찾을 수 없습니다: "${firstPage}" (실제 업로드는 중단됩니다)`);
+    }
+
+    const plan = planPageChanges(pages, states, pageIds);
+
+    // ID -> name for pages we are about to delete (their files may be gone).
+    const idToName = {};
+    for (const [name, meta] of Object.entries(metas)) {
+        if (meta && meta.id) idToName[meta.id] = name;
+    }
+
+    // Step 3: deletes
+    const allPagesToDelete = [...plan.pagesToDelete, ...plan.pagesToDeleteBeforeRecreate];
+    log.info('');
+    log.section(3, 6, `미사용 페이지 삭제 (${allPagesToDelete.length})`);
+    allPagesToDelete.forEach((id, i) => {
+        const name = idToName[id];
+        const recreate = plan.pagesToDeleteBeforeRecreate.includes(id) ? ' - 재생성 예정' : '';
+        log.progress(i + 1, allPagesToDelete.length, `ID: ${id}${name ? ` (${name})` : ''}${recreate}`);
+    });
+    for (const name of plan.metasToDelete) {
+        log.item(`메타 파일 정리: ${name}.meta`);
+    }
+
+    const describeAnswer = (ans) => {
+        const origin = ans.aliasOf ? ` (별칭: "${ans.aliasOf}")` : ans.variantOf ? ` (변형: "${ans.variantOf}")` : '';
+        return `"${ans.answer}"${origin}${ans.next ? ` → ${ans.next}` : ''}`;
+    };
+
+    // Step 4: creates
+    log.info('');
+    log.section(4, 6, `페이지 생성 (${plan.newPages.length})`);
+    plan.newPages.forEach((name, i) => {
+        const pageData = pages[name].json;
+        log.progress(i + 1, plan.newPages.length, `${name}: ${pageData.title}${firstPage === name ? ' [시작]' : ''}`);
+        expandAnswers(pageData.answers, pageData.answer_variants).forEach((ans, j) => {
+            log.subitem(`슬롯 ${j + 1} 추가: ${describeAnswer(ans)}`);
+        });
+    });
+
+    // Step 5: in-place updates
+    log.info('');
+    log.section(5, 6, `페이지 수정 (${plan.pagesToUpdateInPlace.length})`);
+    for (const item of plan.renamedPages) {
+        const via = item.via === 'git' ? 'git mv' : '내용 일치';
+        log.item(`이름 변경: ${item.from} → ${item.to} (ID: ${item.id}, ${via}) - 삭제/재생성 없음`);
+    }
+    plan.pagesToUpdateInPlace.forEach((name, i) => {
+        const pageData = pages[name].json;
+        log.progress(i + 1, plan.pagesToUpdateInPlace.length, `${name}: ${pageData.title} (ID: ${pages[name].meta.id})`);
+        if (!plan.answersChangedPages.has(name)) return;
+
+        // syncAnswers is position-based: overwrite the rows that exist, append the
+        // rest, delete surplus trailing rows.
+        const oldAnswers = pages[name].meta.answers || [];
+        const newAnswers = expandAnswers(pageData.answers, pageData.answer_variants);
+        const overwriteCount = Math.min(oldAnswers.length, newAnswers.length);
+        for (let j = 0; j < overwriteCount; j++) {
+            if (oldAnswers[j] !== newAnswers[j].answer) {
+                log.subitem(`슬롯 ${j + 1} 덮어씀: "${oldAnswers[j]}" → ${describeAnswer(newAnswers[j])}`);
+            }
+        }
+        for (let j = oldAnswers.length; j < newAnswers.length; j++) {
+            log.subitem(`슬롯 ${j + 1} 추가: ${describeAnswer(newAnswers[j])}`);
+        }
+        for (let j = oldAnswers.length - 1; j >= newAnswers.length; j--) {
+            log.subitem(`슬롯 ${j + 1} 삭제: "${oldAnswers[j]}"`);
+        }
+    });
+    log.verbose(`  변경없음: ${plan.unchangedPages.length}`);
+
+    // Step 6: connections. Pages that don't exist yet get a placeholder ID so the
+    // same collectConnections() logic can run before they are created.
+    const pageIdMap = {};
+    for (const [name, pageInfo] of Object.entries(pages)) {
+        if (pageInfo.meta.id) pageIdMap[name] = pageInfo.meta.id;
+    }
+    for (const name of plan.newPages) {
+        pageIdMap[name] = `new:${name}`;
+    }
+    const pagesToUpdate = [...plan.newPages, ...plan.pagesToUpdateInPlace];
+    const newPageIds = new Set(plan.newPages.map(name => pageIdMap[name]));
+    const droppedTargetIds = new Set(
+        [...plan.droppedChildTargets].map(t => pageIdMap[t]).filter(Boolean)
+    );
+    const connections = collectConnections(pages, pageIdMap, newPageIds, pagesToUpdate, droppedTargetIds);
+    const nameOf = Object.fromEntries(Object.entries(pageIdMap).map(([n, i]) => [i, n]));
+
+    const targetPages = Object.keys(connections);
+    log.info('');
+    log.section(6, 6, `페이지 연결 (${targetPages.length})`);
+    targetPages.forEach((targetPageId, i) => {
+        log.progress(i + 1, targetPages.length, `${nameOf[targetPageId] || targetPageId}: 부모 연결 초기화 후 설정`);
+        for (const src of connections[targetPageId]) {
+            log.subitem(`<- ${src.fromName} [정답: ${src.answer}] (슬롯 ${src.answerIndex})`);
+        }
+    });
+
+    // Assets: every page whose content gets built this run (created, updated, or
+    // re-saved during connection) uploads the assets that aren't cached yet.
+    const builtPages = new Set([...pagesToUpdate, ...targetPages.map(id => nameOf[id]).filter(n => pages[n])]);
+    const pendingImages = new Map();
+    const pendingAudios = new Map();
+    for (const name of builtPages) {
+        for (const p of pages[name].images) {
+            const checksum = calculateChecksum(p);
+            if (!imageCache[checksum] && !pendingImages.has(checksum)) pendingImages.set(checksum, p);
+        }
+        for (const p of pages[name].audios) {
+            const checksum = calculateChecksum(p);
+            if (!audioCache[checksum] && !pendingAudios.has(checksum)) pendingAudios.set(checksum, p);
+        }
+    }
+    const relative = (p) => path.relative(contentPath, p).replace(/\\/g, '/');
+
+    log.info('');
+    log.info(`[에셋] 이미지 ${pendingImages.size}개, 오디오 ${pendingAudios.size}개 업로드 예정`);
+    const processing = normalizeProcessingPolicy(config.image_processing);
+    for (const p of pendingImages.values()) {
+        const oversized = fs.statSync(p).size > IMAGE_CONSTRAINTS.maxSizeBytes;
+        const ext = path.extname(p).toLowerCase();
+        const note = CONVERTED_IMAGE_EXTENSIONS.includes(ext) ? ` (${ext.slice(1).toUpperCase()} → PNG/JPEG 변환)`
+            : !oversized ? ''
+            : processing && processing.resize && /\.(jpe?g|png)$/i.test(p) ? ' (크기 초과 → 자동 축소)'
+            : ` (${IMAGE_CONSTRAINTS.maxSizeMB}MB 초과 - 업로드 실패 예정)`;
+        log.item(`이미지: ${relative(p)}${note}`);
+    }
+    for (const p of pendingAudios.values()) {
+        const { action, info, kbps } = planAudio(p);
+        const details = info ? ` [${formatAudioInfo(info)}]` : '';
+        const note = action === 'convert' ? ` (${path.extname(p).slice(1).toUpperCase()} → MP3 변환)`
+            : action === 'none' ? ''
+            : kbps ? ` (${AUDIO_CONSTRAINTS.maxSizeMB}MB 초과 → MP3 ${kbps}kbps로 변환)`
+            : ` (${AUDIO_CONSTRAINTS.maxSizeMB}MB 초과 - 줄일 수 없음, 업로드 실패 예정)`;
+        log.item(`오디오: ${relative(p)}${details}${note}`);
+    }
+
+    const sizeReport = reportPageSizes(pages, config, contentPath);
+    log.info('');
+    log.info(`[크기] 페이지별 업로드 크기 (${SIZE_REPORT_FILE})`);
+    formatSizeTable(sizeReport).forEach(line => log.info(`  ${line}`));
+    describeOverBudget(sizeReport).forEach(w => log.info(`  크기 예산 초과 - ${w}`));
+
+    log.info('');
+    log.info(`계획: 삭제 ${allPagesToDelete.length}, 생성 ${plan.newPages.length}, 수정 ${plan.pagesToUpdateInPlace.length}, 이름 변경 ${plan.renamedPages.length}, 연결 ${targetPages.length}`);
+}
+
+/**
+ * Find which of the parent's answer rows a child's parent connection belongs to.
+ * Connections are stored on the child as "<parentId>-<route>" plus a
+ * "정답N : <answer>" label. Routes are stable row ids, not positions, so match
+ * the label's answer text first and fall back to the route as a position.
+ * @param {string[]} parentAnswers - Parent page's answer texts, in row order
+ * @param {{ answerIndex: number, label: string }} conn - Connection from getParentConnections
+ * @param {Set<number>} [taken] - Row indexes already claimed by another connection
+ * @returns {number} 0-based row index, or -1
+ */
+function resolveConnectionRow(parentAnswers, conn, taken = new Set()) {
+    const label = conn.label || '';
+    const sep = label.lastIndexOf(':');
+    const answerPart = (sep >= 0 ? label.slice(sep + 1) : label).trim();
+    const byLabel = parentAnswers.findIndex((a, i) => a === answerPart && !taken.has(i));
+    if (byLabel >= 0) return byLabel;
+    const byRoute = conn.answerIndex - 1;
+    return byRoute >= 0 && byRoute < parentAnswers.length ? byRoute : -1;
+}
+
+/**
+ * Turn a page title into a file-system friendly page file name
+ * @param {string} title - Page title
+ * @returns {string} Slug (may be empty)
+ */
+function toPageSlug(title) {
+    return (title || '')
+        .trim()
+        .replace(/[\\/:*?"<>|#%]/g, '')
+        .replace(/\s+/g, '-')
+        .replace(/^\.+/, '');
+}
+
+/**
+ * Import an existing labyrinth from the site into a content folder.
+ * Writes labyrinth.json, page/*.html, page/*.json and matching .meta files plus
+ * labyrinth.meta, hashed exactly like loadPages() would, so the next upload
+ * sees every page as `normal` and unchanged.
+ * @param {object} page - Puppeteer page (logged in)
+ * @param {string} labyrinthId - Labyrinth ID (labyrinthSeqn)
+ * @param {string} contentPath - Target content directory
+ * @returns {Promise<{ config: object, pageCount: number }>}
+ */
+async function pullLabyrinth(page, labyrinthId, contentPath) {
+    log.section(2, 4, '미궁 정보 읽기');
+    const config = await withRetry(
+        () => readLabyrinthConfig(page, labyrinthId),
+        '미궁 정보 읽기'
+    );
+    log.item(`완료 (${config.title})`);
+
+    log.info('');
+    log.section(3, 4, '페이지 읽기');
+    const list = await withRetry(
+        () => getPageList(page, labyrinthId),
+        '페이지 목록 읽기'
+    );
+
+    const remotePages = [];
+    for (let i = 0; i < list.length; i++) {
+        const { id } = list[i];
+        log.progress(i + 1, list.length, `ID: ${id} ${list[i].title}`);
+        await withRetry(
+            () => navigateToEditPage(page, labyrinthId, id),
+            '페이지 편집 화면 이동'
+        );
+        const form = await readPageForm(page);
+        const parents = (await getParentConnections(page)).filter(c => c.checked);
+        remotePages.push({ id, form, parents });
+    }
+    log.item('완료');
+
+    // Assign page names: page/{title}, de-duplicated with the page ID
+    const idToName = {};
+    const usedNames = new Set();
+    for (const { id, form } of remotePages) {
+        const slug = toPageSlug(form.title) || id;
+        let name = `page/${slug}`;
+        if (usedNames.has(name)) name = `page/${slug}-${id}`;
+        usedNames.add(name);
+        idToName[id] = name;
+    }
+
+    // Page JSON in the same shape as hand-written pages
+    const jsons = {};
+    for (const { id, form } of remotePages) {
+        const json = {
+            title: form.title,
+            background_color: form.bgColor || '#000000',
+            answers: form.answers.map(a => {
+                const ans = { answer: a.answer, public: a.public };
+                if (a.explanation) ans.explanation = a.explanation;
+                return ans;
+            }),
+            is_ending: form.isEnding
+        };
+        if (form.isBadend) {
+            json.is_badend = true;
+        }
+        if (form.headerDisplay) {
+            json.header_display = form.headerDisplay;
+        }
+        if (form.hint.text || form.hint.enabled) {
+            json.hint = { text: form.hint.text, enabled: form.hint.enabled };
+        }
+        jsons[id] = json;
+    }
+
+    // Connections are stored on the child; turn them into the parent's answer.next
+    for (const { id, parents } of remotePages) {
+        for (const conn of parents) {
+            const parent = jsons[conn.parentPageId];
+            if (!parent) continue;
+            const taken = new Set(parent.answers.map((a, i) => (a.next ? i : -1)));
+            const row = resolveConnectionRow(parent.answers.map(a => a.answer), conn, taken);
+            if (row >= 0) {
+                parent.answers[row].next = idToName[id];
+            } else {
+                log.verbose(`    연결을 해석할 수 없음: ${idToName[id]} <- ${conn.parentPageId} (${conn.label})`);
+            }
+        }
+    }
+
+    log.info('');
+    log.section(4, 4, '파일 쓰기');
+    const pageIds = [];
+    for (const { id, form } of remotePages) {
+        const name = idToName[id];
+        const json = jsons[id];
+
+        // Site-relative asset URLs would be resolved as local files on upload
+        let html = form.content
+            .replace(/((?:src|href)=["'])\/(?!\/)/gi, '$1https://www.thelabyrinth.co.kr/')
+            .replace(/(url\(["']?)\/(?!\/)/gi, '$1https://www.thelabyrinth.co.kr/');
+        html = restorePagePaths(html, idToName);
+
+        const htmlPath = path.join(contentPath, `${name}.html`);
+        fs.mkdirSync(path.dirname(htmlPath), { recursive: true });
+        fs.writeFileSync(htmlPath, html, 'utf8');
+        fs.writeFileSync(path.join(contentPath, `${name}.json`), JSON.stringify(json, null, 4) + '\n', 'utf8');
+
+        if (form.isFirst) config.start_page = name;
+        pageIds.push(id);
+        log.verbose(`    ${name} (ID: ${id})`);
+    }
+
+    fs.writeFileSync(path.join(contentPath, 'labyrinth.json'), JSON.stringify(config, null, 4) + '\n', 'utf8');
+
+    // Hash what loadPages() will read back: rendered through any layout and
+    // includes already in the folder, with the same build options. If the
+    // folder can't be loaded yet, pages get no hash and count as modified.
+    let pages = {};
+    try {
+        pages = loadPages(contentPath, [], { skipMeta: true, config }).pages;
+    } catch (e) {
+        log.error(`페이지 해시를 계산할 수 없습니다 (다음 업로드 때 모두 수정으로 처리됨): ${e.message}`);
+    }
+    for (const { id, form } of remotePages) {
+        const name = idToName[id];
+        const json = jsons[id];
+        writePageMeta(contentPath, name, {
+            id,
+            hash: pages[name] ? pages[name].hash : null,
+            is_first: form.isFirst,
+            is_ending: form.isEnding,
+            is_badend: form.isBadend,
+            header_display: form.headerDisplay,
+            title: form.title,
+            contentHash: computeContentHash(form.source || form.content),
+            answers: json.answers.map(a => a.answer),
+            answerTargets: json.answers.map(a => a.next || null)
+        });
+    }
+
+    const labyMeta = {
+        id: labyrinthId,
+        hash: computeLabyrinthHash(config, contentPath),
+        images: {},
+        audio: {},
+        pageIds
+    };
+    fs.writeFileSync(path.join(contentPath, 'labyrinth.meta'), JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
+    log.item('완료');
+
+    return { config, pageCount: remotePages.length };
+}
+
+/**
+ * `pull` command: log in and import a labyrinth into a (new) content folder
+ * @param {object} args - Parsed CLI options
+ * @param {string} contentPath - Target content directory
+ */
+async function runPull(args, contentPath) {
+    if (!args.labyrinthSeqn || !/^\d+$/.test(args.labyrinthSeqn)) {
+        log.error('가져올 미궁 ID(labyrinthSeqn)를 지정해주세요.');
+        log.error('예: node upload.js pull 12345 ./my-labyrinth');
+        process.exit(1);
+    }
+
+    // Never overwrite a folder that is already managed by this tool
+    for (const file of ['labyrinth.json', 'labyrinth.meta']) {
+        if (fs.existsSync(path.join(contentPath, file))) {
+            log.error(`${file} 파일이 이미 존재합니다: ${contentPath}`);
+            log.error('비어 있는 폴더(account.json만 있는 폴더)를 지정해주세요.');
+            process.exit(1);
+        }
+    }
+    fs.mkdirSync(contentPath, { recursive: true });
+
+    const account = loadAccount(contentPath, args);
+
+    log.info('=== 더라비린스 가져오기 ===');
+    log.info(`미궁 ID: ${args.labyrinthSeqn}`);
+    log.info(`폴더: ${args.contentFolder}`);
+    log.info('');
+
+    let browser, page, restored;
+    try {
+        log.section(1, 4, '로그인');
+        ({ browser, page, restored } = await withRetry(
+            () => login({
+                email: account.email,
+                password: account.password,
+                headless: !args.showBrowser,
+                sessionPath: path.join(contentPath, SESSION_FILE)
+            }),
+            '로그인'
+        ));
+        log.item(restored ? '완료 (저장된 세션)' : '완료');
+        log.info('');
+
+        const { config, pageCount } = await pullLabyrinth(page, args.labyrinthSeqn, contentPath);
+
+        log.info('');
+        log.info(`가져오기 완료! (${config.title}, 페이지 ${pageCount}개)`);
+    } catch (error) {
+        log.error('');
+        log.error(`오류가 발생했습니다: ${error.message}`);
+        if (OPTIONS.verbose) {
+            log.error(error.stack);
+        } else {
+            log.error('상세 정보를 보려면 --verbose 옵션을 사용하세요.');
+        }
+        process.exit(1);
+    } finally {
+        if (browser) {
+            await logout(browser);
+        }
+    }
+}
+
+/**
+ * Compare labyrinth.meta and the page .meta files with the live site.
+ * Reads every known page's title, stored content, answers and parent
+ * connections and compares them with what the meta says was last uploaded.
+ * @param {object} page - Puppeteer page (logged in)
+ * @param {object} labyMeta - labyrinth.meta contents (must have an id)
+ * @param {object} metas - { pageName: meta } for every page .meta file
+ * @returns {Promise<{ changed: Array<{name, id, fields: string[]}>, deleted: Array<{name, id}>, unknown: Array<{id, title}> }>}
+ */
+async function checkDrift(page, labyMeta, metas) {
+    const labyrinthId = labyMeta.id;
+    const pageIds = labyMeta.pageIds || [];
+    const report = { changed: [], deleted: [], unknown: [] };
+
+    const list = await withRetry(
+        () => getPageList(page, labyrinthId),
+        '페이지 목록 읽기'
+    );
+    const remoteIds = new Set(list.map(p => p.id));
+
+    const idToName = {};
+    for (const [name, meta] of Object.entries(metas)) {
+        if (meta.id && pageIds.includes(meta.id)) idToName[meta.id] = name;
+    }
+
+    for (const [id, name] of Object.entries(idToName)) {
+        if (!remoteIds.has(id)) report.deleted.push({ name, id });
+    }
+    for (const item of list) {
+        if (!pageIds.includes(item.id)) report.unknown.push({ id: item.id, title: item.title });
+    }
+
+    // Read every page that still exists on both sides
+    const remote = {};
+    const known = Object.entries(idToName).filter(([id]) => remoteIds.has(id));
+    for (let i = 0; i < known.length; i++) {
+        const [id, name] = known[i];
+        log.progress(i + 1, known.length, name);
+        await withRetry(
+            () => navigateToEditPage(page, labyrinthId, id),
+            '페이지 편집 화면 이동'
+        );
+        const form = await readPageForm(page);
+        const parents = (await getParentConnections(page)).filter(c => c.checked);
+        remote[id] = { form, parents };
+    }
+
+    // Rebuild each parent's answer targets from the children's connections
+    const remoteTargets = {};
+    for (const id of Object.keys(remote)) {
+        remoteTargets[id] = remote[id].form.answers.map(() => null);
+    }
+    for (const [childId, { parents }] of Object.entries(remote)) {
+        for (const conn of parents) {
+            const parent = remote[conn.parentPageId];
+            if (!parent) continue;
+            const targets = remoteTargets[conn.parentPageId];
+            const taken = new Set(targets.map((t, i) => (t ? i : -1)));
+            const row = resolveConnectionRow(parent.form.answers.map(a => a.answer), conn, taken);
+            if (row >= 0) targets[row] = idToName[childId];
+        }
+    }
+
+    const sameList = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+    for (const [id, { form }] of Object.entries(remote)) {
+        const name = idToName[id];
+        const meta = metas[name];
+        const fields = [];
+
+        // title/contentHash are only recorded by uploads that know about drift
+        if (meta.title !== undefined && form.title !== meta.title) {
+            fields.push('title');
+        }
+        // Only when the upload set it; otherwise the site default is expected
+        if (meta.header_display && form.headerDisplay && form.headerDisplay !== meta.header_display) {
+            fields.push('header_display');
+        }
+        if (meta.contentHash && computeContentHash(form.source || form.content) !== meta.contentHash) {
+            fields.push('content');
+        }
+        const remoteAnswers = form.answers.map(a => a.answer);
+        if (meta.answers && !sameList(remoteAnswers, meta.answers)) {
+            fields.push('answers');
+        }
+        const expectedTargets = (meta.answerTargets || []).map(t => t || null);
+        if (meta.answerTargets && !sameList(remoteTargets[id], expectedTargets)) {
+            fields.push('connections');
+        }
+
+        if (fields.length > 0) {
+            report.changed.push({ name, id, fields, remoteAnswers, remoteTargets: remoteTargets[id] });
+        }
+    }
+
+    return report;
+}
+
+/**
+ * Print a drift report
+ * @param {object} report - Result of checkDrift
+ * @returns {boolean} true if any drift was found
+ */
+function printDriftReport(report) {
+    const total = report.changed.length + report.deleted.length + report.unknown.length;
+    if (total === 0) {
+        log.item('원격 변경 없음');
+        return false;
+    }
+
+    if (report.changed.length > 0) {
+        log.item(`사이트에서 수정됨 (${report.changed.length}):`);
+        for (const item of report.changed) {
+            log.subitem(`${item.name} (ID: ${item.id}) - ${item.fields.join(', ')}`);
+        }
+    }
+    if (report.deleted.length > 0) {
+        log.item(`사이트에서 삭제됨 (${report.deleted.length}):`);
+        for (const item of report.deleted) {
+            log.subitem(`${item.name} (ID: ${item.id})`);
+        }
+    }
+    if (report.unknown.length > 0) {
+        log.item(`pageIds에 없는 사이트 페이지 (${report.unknown.length}):`);
+        for (const item of report.unknown) {
+            log.subitem(`ID: ${item.id} ${item.title}`);
+        }
+    }
+    return true;
+}
+
+/**
+ * Make the next upload overwrite everything the drift report found:
+ * - pages changed remotely lose their hash (re-uploaded in place), and their
+ *   meta answers/targets are set to the remote rows so syncAnswers and Step 6
+ *   start from what the site really has
+ * - pages deleted remotely are dropped from pageIds (recreated)
+ * - site pages unknown to pageIds are added to it (deleted as orphans)
+ * @param {object} report - Result of checkDrift
+ * @param {object} labyMeta - labyrinth.meta contents (mutated)
+ * @param {object} metas - { pageName: meta } (mutated)
+ * @param {string} contentPath - Path to content directory
+ */
+function applyDriftOverwrite(report, labyMeta, metas, contentPath) {
+    for (const item of report.changed) {
+        const meta = metas[item.name];
+        delete meta.hash;
+        meta.answers = item.remoteAnswers;
+        meta.answerTargets = item.remoteTargets;
+        writePageMeta(contentPath, item.name, meta);
+    }
+    const deletedIds = new Set(report.deleted.map(item => item.id));
+    labyMeta.pageIds = (labyMeta.pageIds || []).filter(id => !deletedIds.has(id));
+    for (const item of report.unknown) {
+        labyMeta.pageIds.push(item.id);
+    }
+    fs.writeFileSync(path.join(contentPath, 'labyrinth.meta'), JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
+}
+
+/**
+ * Ask a yes/no question on the terminal. Non-interactive runs answer "no".
+ * @param {string} question
+ * @returns {Promise<boolean>}
+ */
+function confirm(question) {
+    if (!process.stdin.isTTY) return Promise.resolve(false);
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => {
+        rl.question(`${question} (y/N) `, answer => {
+            rl.close();
+            resolve(/^y(es)?$/i.test(answer.trim()));
+        });
+    });
+}
+
+/**
+ * Steps 2-6 of an upload: create/update the labyrinth, then delete, create and
+ * update pages and re-establish parent connections. Only what changed since the
+ * last sync (per the page/labyrinth hashes) touches the site.
+ * Page files are rescanned on every call, so watch mode reuses it as-is.
+ * @param {object} ctx
+ * @param {object} ctx.browser - Puppeteer browser (logged in)
+ * @param {object} ctx.page - Puppeteer page
+ * @param {object} ctx.config - labyrinth.json contents
+ * @param {string} ctx.contentPath - Absolute content folder path
+ * @param {object} ctx.labyMeta - labyrinth.meta contents (updated and saved in place)
+ * @param {object} ctx.counts - Counters for the summary (updated in place)
+ * @returns {Promise<{ pageCount: number }>}
+ */
+async function syncLabyrinth({ browser, page, config, contentPath, labyMeta, counts }) {
+    const metaPath = path.join(contentPath, 'labyrinth.meta');
+
+    // Compute current config hash
+    const currentHash = computeLabyrinthHash(config, contentPath);
+
+    // Options for labyrinth functions
+    const options = { browser, labyPath: contentPath };
+
+    // Create or update labyrinth (with retry)
+    log.info('');
+    if (!labyMeta.id) {
+        log.section(2, 6, '미궁 생성');
+        const labyrinthId = await withRetry(
+            () => createLabyrinth(page, config, options),
+            '미궁 생성'
+        );
+
+        labyMeta.id = labyrinthId;
+        labyMeta.hash = currentHash;
+        labyMeta.images = labyMeta.images || {};
+        labyMeta.audio = labyMeta.audio || {};
+        labyMeta.pageIds = labyMeta.pageIds || [];
+        fs.writeFileSync(metaPath, JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
+        log.item(`완료 (ID: ${labyrinthId})`);
+    } else if (labyMeta.hash !== currentHash) {
+        log.section(2, 6, '미궁 정보 수정');
+        await withRetry(
+            () => updateLabyrinth(page, labyMeta.id, config, options),
+            '미궁 수정'
+        );
+
+        labyMeta.hash = currentHash;
+        fs.writeFileSync(metaPath, JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
+        log.item('완료');
+    } else {
+        log.section(2, 6, '미궁 정보 (변경 없음)');
+    }
+
+    const labyrinthId = labyMeta.id;
+    let imageCache = labyMeta.images || {};
+    let audioCache = labyMeta.audio || {};
+    let pageIds = labyMeta.pageIds || [];
+
+    // Find and load all page files
+    log.verbose('');
+    log.verbose('  페이지 파일 스캔 중...');
+    const { htmlNames, jsonNames, singleNames, metaNames, pages, states } = loadPages(contentPath, pageIds, { config });
+    log.verbose(`  HTML: ${htmlNames.length}, JSON: ${jsonNames.length}, 단일 파일: ${singleNames.length}, Meta: ${metaNames.length}, 등록된 ID: ${pageIds.length}`);
+
+    // Show warnings for abnormal states (verbose only)
+    const warnings = describePageStates(states);
+    if (warnings.length > 0) {
+        log.verbose('');
+        log.verbose('  [주의]');
+        warnings.forEach(w => log.verbose(`    ${w}`));
+    }
+
+    // Determine first page from config
+    const firstPage = config.first_page || config.start_page || null;
+
+    // Validate all valid pages (and the page graph rooted at the first page)
+    const pageValidation = validateAllPages(pages, firstPage, contentPath);
+
+    // Show validation warnings (verbose only)
+    if (pageValidation.warnings.length > 0) {
+        log.verbose('');
+        log.verbose('  [검증 주의사항]');
+        pageValidation.warnings.forEach(w => log.verbose(`    ${w}`));
+    }
+
+    // Stop on errors
+    if (!pageValidation.valid) {
+        log.error('');
+        log.error('페이지 검증 실패:');
+        pageValidation.errors.forEach(e => log.error(`  - ${e}`));
+        log.error('');
+        log.error('오류를 수정한 후 다시 실행해주세요.');
+        throw new Error('페이지 검증 실패');
+    }
+
+    // Validate first_page reference
+    if (firstPage && !Object.keys(pages).includes(firstPage)) {
+        log.error(`사용 가능한 페이지: ${Object.keys(pages).join(', ')}`);
+        throw new Error(`시작 페이지를 찾을 수 없습니다: "${firstPage}"`);
+    }
+
+    // Size report: full table in verbose mode, budget overruns always
+    const sizeReport = reportPageSizes(pages, config, contentPath);
+    log.verbose('');
+    log.verbose(`  [크기] ${SIZE_REPORT_FILE}`);
+    formatSizeTable(sizeReport).forEach(line => log.verbose(`    ${line}`));
+    const overBudget = describeOverBudget(sizeReport);
+    if (overBudget.length > 0) {
+        log.info('');
+        log.info('  [크기 예산 초과]');
+        overBudget.forEach(w => log.info(`    ${w}`));
+    }
+
+    // Categorize pages for processing
+    const {
+        newPages,
+        pagesToUpdateInPlace,
+        unchangedPages,
+        answersChangedPages,
+        droppedChildTargets,
+        pagesToDelete,
+        pagesToDeleteBeforeRecreate,
+        metasToDelete,
+        renamedPages
+    } = planPageChanges(pages, states, pageIds);
+
+    log.verbose(`  신규: ${newPages.length}, 수정: ${pagesToUpdateInPlace.length}, 변경없음: ${unchangedPages.length}, 이름 변경: ${renamedPages.length}`);
+    log.verbose(`  삭제 예정: ${pagesToDelete.length + pagesToDeleteBeforeRecreate.length}`);
+
+    // ============================================================
+    // Step 3: Delete unused pages (including pages that need recreation)
+    // ============================================================
+    const allPagesToDelete = [...pagesToDelete, ...pagesToDeleteBeforeRecreate];
+    log.info('');
+    log.section(3, 6, '미사용 페이지 삭제');
+    if (allPagesToDelete.length > 0) {
+        for (let i = 0; i < allPagesToDelete.length; i++) {
+            const pageId = allPagesToDelete[i];
+            log.progress(i + 1, allPagesToDelete.length, `ID: ${pageId}`);
+            const success = await deletePage(page, labyrinthId, pageId);
+            if (success) {
+                pageIds = pageIds.filter(id => id !== pageId);
+                counts.deleted++;
+                log.verbose(`    삭제됨`);
+            } else {
+                log.verbose(`    실패 (이미 삭제됨)`);
+                pageIds = pageIds.filter(id => id !== pageId);
+            }
+            await new Promise(r => setTimeout(r, 50));
+        }
+
+        labyMeta.pageIds = pageIds;
+        fs.writeFileSync(metaPath, JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
+        log.item('완료');
+    } else {
+        log.item('삭제할 페이지 없음');
+    }
+
+    // Renamed pages take over the old meta (and with it the site page ID)
+    for (const item of renamedPages) {
+        writePageMeta(contentPath, item.to, pages[item.to].meta);
+        log.item(`이름 변경: ${item.from} → ${item.to} (ID: ${item.id})`);
+        counts.renamed++;
+    }
+
+    // Clean up unused meta files
+    if (metasToDelete.length > 0) {
+        log.verbose(`  메타 파일 정리 중... (${metasToDelete.length}개)`);
+        for (const name of metasToDelete) {
+            deletePageMeta(contentPath, name);
+            log.verbose(`    ${name}.meta 삭제됨`);
+        }
+    }
+
+    // Build page name -> ID mapping. Starts with already-known IDs (existing pages)
+    // and grows as new pages are created in Step 4, so a new page's content can
+    // resolve references to other pages that were created earlier in the same run.
+    const pageIdMap = {};
+    for (const [name, pageInfo] of Object.entries(pages)) {
+        if (pageInfo.meta.id) {
+            pageIdMap[name] = pageInfo.meta.id;
+        }
+    }
+
+    // Shared content pipeline. The editor for `name` must already be navigated
+    // (create screen for new pages, edit screen for updates) — asset uploads run
+    // against that editor. Returns processed HTML + answers, asset failures, and
+    // any page references that could NOT be resolved with the CURRENT pageIdMap
+    // (caller re-edits those once all IDs exist).
+    async function buildPageContent(name) {
+        const pageData = pages[name].json;
+        let html = pages[name].html;
+        const pageDir = path.dirname(path.join(contentPath, `${name}.html`));
+
+        const localImages = findLocalImages(html, pageDir, contentPath);
+        const localAudios = findLocalAudio(html, pageDir, contentPath);
+
+        const answers = expandAnswers(pageData.answers, pageData.answer_variants);
+        const processedAnswers = [];
+        for (const ans of answers) {
+            let explanationHtml = ans.explanation || '';
+            // Alias/variant rows share their answer's explanation; collect its assets once
+            if (explanationHtml && explanationHtml.includes('<') && !ans.aliasOf && !ans.variantOf) {
+                localImages.push(...findLocalImages(explanationHtml, pageDir, contentPath));
+                localAudios.push(...findLocalAudio(explanationHtml, pageDir, contentPath));
+            }
+            processedAnswers.push({ ...ans, explanationHtml });
+        }
+
+        let imageFailures = 0;
+        if (localImages.length > 0) {
+            log.verbose(`    이미지 ${localImages.length}개 처리 중...`);
+            const { cache: newCache, pathMap, failures } = await uploadNewImages(browser, page, localImages, imageCache, {
+                processing: normalizeProcessingPolicy(config.image_processing),
+                contentPath
+            });
+            imageFailures = failures;
+            counts.failures.image += failures;
+            imageCache = newCache;
+            labyMeta.images = imageCache;
+            fs.writeFileSync(metaPath, JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
+            html = replaceLocalAssets(html, pathMap, pageDir, contentPath);
+            for (const ans of processedAnswers) {
+                if (ans.explanationHtml) ans.explanationHtml = replaceLocalAssets(ans.explanationHtml, pathMap, pageDir, contentPath);
+            }
+        }
+
+        let audioFailures = 0;
+        if (localAudios.length > 0) {
+            log.verbose(`    오디오 ${localAudios.length}개 처리 중...`);
+            const { cache: newCache, pathMap, failures } = await uploadNewAudios(browser, page, localAudios, audioCache, { contentPath });
+            audioFailures = failures;
+            counts.failures.audio = (counts.failures.audio || 0) + failures;
+            audioCache = newCache;
+            labyMeta.audio = audioCache;
+            fs.writeFileSync(metaPath, JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
+            html = replaceLocalAssets(html, pathMap, pageDir, contentPath);
+            for (const ans of processedAnswers) {
+                if (ans.explanationHtml) ans.explanationHtml = replaceLocalAssets(ans.explanationHtml, pathMap, pageDir, contentPath);
+            }
+        }
+
+        // Which page references can't be resolved yet (target ID not in map)?
+        const unresolvedRefs = findContentPageRefs(html).filter(ref => !pageIdMap[ref]);
+
+        // Resolve the references we can; minify, then obfuscate (opt-in).
+        html = replaceVisitPaths(html, pageIdMap);
+        html = replaceGoPagePaths(html, pageIdMap);
+        const minifyOptions = normalizeMinifyOptions(config.minify);
+        html = minifyHtml(html, minifyOptions);
+        html = obfuscateHtml(html, normalizeObfuscateOptions(config.obfuscate));
+        for (const ans of processedAnswers) {
+            // Plain-text explanations keep their line breaks
+            if (ans.explanationHtml && ans.explanationHtml.includes('<')) {
+                ans.explanationHtml = minifyHtml(ans.explanationHtml, minifyOptions);
+            }
+        }
+
+        return {
+            html, processedAnswers, imageFailures, audioFailures, unresolvedRefs,
+            assetsUploaded: localImages.length > 0 || localAudios.length > 0,
+        };
+    }
+
+    // ============================================================
+    // Step 4: Create new pages with real content + answers (single save).
+    // Pages whose content references a not-yet-created page are flagged for a
+    // content re-edit in Step 5 (once all IDs exist).
+    // ============================================================
+    const pagesNeedingReEdit = new Set();
+    log.info('');
+    log.section(4, 6, '페이지 생성');
+    if (newPages.length > 0) {
+        for (let i = 0; i < newPages.length; i++) {
+            const name = newPages[i];
+            const pageData = pages[name].json;
+            log.progress(i + 1, newPages.length, `${name}: ${pageData.title}`);
+
+            if (!pages[name].html) {
+                log.error(`    HTML 내용이 없습니다`);
+                counts.failures.page++;
+                continue;
+            }
+
+            await withRetry(
+                () => navigateToCreatePage(page, labyrinthId),
+                '페이지 생성 화면 이동'
+            );
+
+            // Build content against the create-screen editor (asset upload needs
+            // the editor present; it works before the page has an ID).
+            const built = await buildPageContent(name);
+
+            // If assets were uploaded, popups may have disturbed the create form —
+            // re-navigate and rebuild URLs are already in `built.html`.
+            if (built.assetsUploaded) {
+                await withRetry(
+                    () => navigateToCreatePage(page, labyrinthId),
+                    '페이지 생성 화면 이동'
+                );
+            }
+
+            const isFirst = (firstPage === name);
+            const isEnding = pageData.is_ending || false;
+            const isBadend = isEnding && pageData.is_badend === true;
+            const answers = expandAnswers(pageData.answers, pageData.answer_variants);
+            const hasAnswers = answers.length > 0;
+
+            const failedFields = await fillPageForm(page, {
+                title: pageData.title,
+                bgColor: pageData.background_color || '#000000',
+                isFirst,
+                isEnding,
+                isBadend,
+                headerDisplay: pageData.header_display || null,
+                hasAnswers,
+                hint: pageData.hint || '',
+                hint_enabled: pageData.hint_enabled || false,
+                content: built.html,
+            });
+
+            // Add real answers via pure UI in order — the server assigns route
+            // 1..N by DOM order (verified), so no hidden-field manipulation needed.
+            let answerFailures = 0;
+            for (let j = 0; j < built.processedAnswers.length; j++) {
+                const ans = built.processedAnswers[j];
+                const result = await addAnswer(page, ans.answer, ans.public || false, ans.explanationHtml || '');
+                if (result !== 'filled') {
+                    log.fail(`    답안 추가 실패(슬롯 ${j + 1}): ${result}`);
+                    answerFailures++;
+                } else {
+                    log.verbose(`    슬롯 ${j + 1}: "${ans.answer}"`);
+                }
+            }
+
+            const pageId = await withRetry(
+                () => submitPageForm(page, labyrinthId, pageData.title),
+                '페이지 저장'
+            );
+
+            if (pageId) {
+                pages[name].meta.id = pageId;
+                pageIdMap[name] = pageId;
+                pages[name].finalHtml = built.html;
+
+                if (!pageIds.includes(pageId)) {
+                    pageIds.push(pageId);
+                }
+
+                // Persist meta now (so a later crash doesn't orphan the page).
+                // Skip hash if anything failed or a re-edit is pending, so next run retries.
+                pages[name].meta.is_first = isFirst;
+                pages[name].meta.is_ending = isEnding;
+                pages[name].meta.is_badend = isBadend;
+                pages[name].meta.header_display = pageData.header_display || null;
+                // What the site now holds, so --check-drift can spot browser edits.
+                pages[name].meta.title = pageData.title;
+                pages[name].meta.contentHash = computeContentHash(built.html);
+                pages[name].meta.answers = answers.map(a => a.answer);
+                // Remember each answer's target so a later in-place update can detect
+                // which child a dropped/re-pointed answer used to link to.
+                pages[name].meta.answerTargets = answers.map(a => a.next || null);
+                const clean = built.imageFailures === 0 && built.audioFailures === 0 && answerFailures === 0 && failedFields.length === 0;
+                if (clean && built.unresolvedRefs.length === 0) {
+                    pages[name].meta.hash = pages[name].hash;
+                }
+                writePageMeta(contentPath, name, pages[name].meta);
+
+                if (built.unresolvedRefs.length > 0) {
+                    pagesNeedingReEdit.add(name);
+                    log.verbose(`    재에디팅 예약 (미해결 참조: ${built.unresolvedRefs.join(', ')})`);
+                }
+
+                counts.created++;
+                log.verbose(`    생성됨 (ID: ${pageId})`);
+            } else {
+                counts.failures.page++;
+                log.fail(`${name}: 페이지 ID를 받아올 수 없습니다`);
+            }
+        }
+
+        labyMeta.pageIds = pageIds;
+        fs.writeFileSync(metaPath, JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
+        log.item('완료');
+    } else {
+        log.item('생성할 페이지 없음');
+    }
+
+    // Pages that get a content (re-)write in Step 5:
+    //  - in-place updated pages (changed content, unchanged answers)
+    //  - new pages flagged for re-edit (content referenced a page created later)
+    // New pages NOT in pagesNeedingReEdit already have final content + answers
+    // from Step 4, so they are skipped here (saving one form submit each).
+    const pagesToReEdit = [
+        ...newPages.filter(name => pages[name].meta.id && pagesNeedingReEdit.has(name)),
+        ...pagesToUpdateInPlace,
+    ];
+    // pagesToUpdate = every page whose content we (re)wrote this run. Step 6 uses
+    // it to decide which sources' connections to re-establish.
+    const pagesToUpdate = [
+        ...newPages.filter(name => pages[name].meta.id),
+        ...pagesToUpdateInPlace,
+    ];
+
+    log.info('');
+    log.section(5, 6, '페이지 수정');
+    if (pagesToReEdit.length > 0) {
+
+        for (let i = 0; i < pagesToReEdit.length; i++) {
+            const name = pagesToReEdit[i];
+            const pageData = pages[name].json;
+            const pageMeta = pages[name].meta;
+            const pageId = pageMeta.id;
+
+            if (!pageId) continue;
+
+            log.progress(i + 1, pagesToReEdit.length, `${name}: ${pageData.title}`);
+
+            if (!pages[name].html) {
+                log.error(`    HTML 내용이 없습니다`);
+                continue;
+            }
+
+            // Navigate to the edit screen first (assets + content go here).
+            await withRetry(
+                () => navigateToEditPage(page, labyrinthId, pageId),
+                '페이지 편집 화면 이동'
+            );
+
+            const built = await buildPageContent(name);
+
+            // Asset popups can disturb the edit form — re-navigate if needed.
+            if (built.assetsUploaded) {
+                await withRetry(
+                    () => navigateToEditPage(page, labyrinthId, pageId),
+                    '페이지 편집 화면 이동'
+                );
+            }
+
+            if (built.unresolvedRefs.length > 0) {
+                // Should not happen after all IDs exist; warn so it's visible.
+                log.error(`    여전히 미해결 참조: ${built.unresolvedRefs.join(', ')}`);
+            }
+
+            const isFirst = (firstPage === name);
+            const isEnding = pageData.is_ending || false;
+            const isBadend = isEnding && pageData.is_badend === true;
+            const hasAnswers = (pageData.answers || []).length > 0;
+
+            const failedFields = await fillPageForm(page, {
+                title: pageData.title,
+                bgColor: pageData.background_color || '#000000',
+                isFirst,
+                isEnding,
+                isBadend,
+                headerDisplay: pageData.header_display || null,
+                hasAnswers,
+                hint: pageData.hint || '',
+                hint_enabled: pageData.hint_enabled || false,
+                content: built.html,
+            });
+
+            // Sync answers IN PLACE when they changed (no delete-recreate). The page
+            // keeps its ID and per-row routes, so child connections survive; Step 6
+            // re-establishes only the links whose answer→next mapping moved.
+            let answerSyncFailures = 0;
+            if (answersChangedPages.has(name)) {
+                const sync = await syncAnswers(page, built.processedAnswers);
+                answerSyncFailures = sync.failures;
+                log.verbose(`    답안 동기화: 덮어씀 ${sync.overwritten}, 추가 ${sync.added}, 삭제 ${sync.deleted}, 실패 ${sync.failures}`);
+            }
+
+            await withRetry(
+                () => submitPageForm(page),
+                '페이지 저장'
+            );
+
+            if (built.imageFailures === 0 && built.audioFailures === 0 && built.unresolvedRefs.length === 0 &&
+                answerSyncFailures === 0 && failedFields.length === 0) {
+                pageMeta.hash = pages[name].hash;
+            }
+            pageMeta.is_first = isFirst;
+            pageMeta.is_ending = isEnding;
+            pageMeta.is_badend = isBadend;
+            pageMeta.header_display = pageData.header_display || null;
+            pageMeta.title = pageData.title;
+            pageMeta.contentHash = computeContentHash(built.html);
+            const answerRows = expandAnswers(pageData.answers, pageData.answer_variants);
+            pageMeta.answers = answerRows.map(a => a.answer);
+            pageMeta.answerTargets = answerRows.map(a => a.next || null);
+            writePageMeta(contentPath, name, pageMeta);
+
+            pages[name].finalHtml = built.html;
+
+            counts.updated++;
+            log.verbose(`    수정됨`);
+        }
+        log.item('완료');
+    } else {
+        log.item('수정할 페이지 없음');
+    }
+
+    // ============================================================
+    // Step 6: Set parent connections
+    // ============================================================
+    const newPageIds = new Set(newPages.map(name => pageIdMap[name]).filter(Boolean));
+    const droppedTargetIds = new Set(
+        [...droppedChildTargets].map(t => pageIdMap[t]).filter(Boolean)
+    );
+    const connections = collectConnections(pages, pageIdMap, newPageIds, pagesToUpdate, droppedTargetIds);
+
+    const targetPages = Object.keys(connections);
+    log.info('');
+    log.section(6, 6, '페이지 연결');
+    if (targetPages.length > 0) {
+        // A parent slot's checkbox only appears on a child if that slot is FREE
+        // (unlinked) or already linked to this child. After a reorder, a slot must
+        // move from child A to child B — but it stays bound to A until A is cleared.
+        // So clear ALL affected children first (Phase 1), freeing every slot, then
+        // set the new connections (Phase 2). This avoids intra-run ordering deadlocks.
+        const helper = Object.entries(pageIdMap);
+        const nameOf = (id) => helper.find(([n, i]) => i === id)?.[0] || id;
+
+        // Phase 1: clear parent connections on every target child.
+        for (let i = 0; i < targetPages.length; i++) {
+            const targetPageId = targetPages[i];
+            const targetName = nameOf(targetPageId);
+            log.progress(i + 1, targetPages.length, `초기화 ${targetName}`);
+            await withRetry(
+                () => navigateToEditPage(page, labyrinthId, targetPageId),
+                '페이지 편집 화면 이동'
+            );
+            const hadAny = await clearParentConnections(page);
+            if (hadAny) {
+                // Re-inject HTML so the clearing save doesn't let SmartEditor corrupt content.
+                if (pages[targetName] && !pages[targetName].finalHtml && pages[targetName].html) {
+                    const rebuilt = await buildPageContent(targetName);
+                    pages[targetName].finalHtml = rebuilt.html;
+                }
+                const fh = pages[targetName]?.finalHtml;
+                if (fh) await setEditorContent(page, fh);
+                await withRetry(() => submitPageForm(page), '페이지 저장');
+            }
+            await new Promise(r => setTimeout(r, 50));
+        }
+
+        // Verify a desired connection actually persisted on the child: a checked
+        // checkbox for the parent whose label answer-part matches the source answer
+        // (label-first, mirroring setParentConnection), or the index value as fallback.
+        const connectionPersisted = (live, src) => live.some(c => {
+            if (!c.checked) return false;
+            if (String(c.parentPageId) !== String(src.fromPageId)) return false;
+            const label = c.label || '';
+            const sep = label.lastIndexOf(':');
+            const answerPart = (sep >= 0 ? label.slice(sep + 1) : label).trim();
+            if (src.answer && answerPart === src.answer) return true;
+            return c.answerIndex === src.answerIndex;
+        });
+
+        // Phase 2: set the desired connections on every target child (slots now free).
+        // After saving, RE-READ the child's connections to verify the save actually
+        // persisted: the site occasionally drops a checkbox save under load, and a
+        // click+submit alone can't detect that (the click "succeeds" client-side, so
+        // an unverified run reports 연결 OK while the link is silently gone). Retry the
+        // still-missing links a few times, then report any that never took as a real
+        // failure (counted + hash cleared so the next run retries).
+        const MAX_CONNECT_ATTEMPTS = 3;
+        for (let i = 0; i < targetPages.length; i++) {
+            const targetPageId = targetPages[i];
+            const sources = connections[targetPageId];
+            const targetName = nameOf(targetPageId);
+
+            log.progress(i + 1, targetPages.length, targetName);
+
+            let missing = sources.slice();
+            for (let attempt = 1; attempt <= MAX_CONNECT_ATTEMPTS && missing.length > 0; attempt++) {
+                await withRetry(
+                    () => navigateToEditPage(page, labyrinthId, targetPageId),
+                    '페이지 편집 화면 이동'
+                );
+
+                // Set only the still-missing links; already-persisted ones load
+                // pre-checked and are preserved by the submit.
+                for (const src of missing) {
+                    // Pass answer text so setParentConnection matches the checkbox by
+                    // label first (robust to slot reordering); index is the fallback.
+                    const success = await setParentConnection(page, src.fromPageId, src.answerIndex, src.answer);
+                    log.verbose(`    <- ${src.fromName} [정답: ${src.answer}]${success ? '' : ' (체크 실패)'}`);
+                }
+
+                // Re-set HTML content to overwrite any changes made by SmartEditor.
+                if (pages[targetName] && !pages[targetName].finalHtml && pages[targetName].html) {
+                    const rebuilt = await buildPageContent(targetName);
+                    pages[targetName].finalHtml = rebuilt.html;
+                }
+                const finalHtml = pages[targetName]?.finalHtml;
+                if (finalHtml) {
+                    await setEditorContent(page, finalHtml);
+                }
+
+                await withRetry(
+                    () => submitPageForm(page),
+                    '페이지 저장'
+                );
+
+                // Re-read the freshly-persisted server state and recompute what's missing.
+                await withRetry(
+                    () => navigateToEditPage(page, labyrinthId, targetPageId),
+                    '페이지 편집 화면 이동(검증)'
+                );
+                const live = await getParentConnections(page);
+                missing = sources.filter(src => !connectionPersisted(live, src));
+                if (missing.length > 0 && attempt < MAX_CONNECT_ATTEMPTS) {
+                    log.verbose(`    검증: 미반영 ${missing.length}개 → 재시도 ${attempt + 1}/${MAX_CONNECT_ATTEMPTS}`);
+                }
+            }
+
+            if (missing.length === 0) {
+                counts.connected++;
+            } else {
+                for (const m of missing) {
+                    log.error(`    연결 미반영: ${targetName} <- ${m.fromName} [정답: ${m.answer}]`);
+                    counts.failures.connect++;
+                }
+                if (pages[targetName]) {
+                    // Clear hash so next run retries this page
+                    const targetMeta = pages[targetName].meta;
+                    delete targetMeta.hash;
+                    writePageMeta(contentPath, targetName, targetMeta);
+                }
+            }
+            await new Promise(r => setTimeout(r, 50));
+        }
+        log.item('완료');
+    } else {
+        log.item('연결할 페이지 없음');
+    }
+
+    return { pageCount: Object.keys(pages).length };
+}
+
+/**
+ * `logout` command: show the saved login session, or delete it with --forget
+ * @param {{ forget: boolean }} args
+ * @param {string} contentPath - Absolute content folder path
+ */
+function runLogout(args, contentPath) {
+    const sessionPath = path.join(contentPath, SESSION_FILE);
+
+    if (args.forget) {
+        if (forgetSession(sessionPath)) {
+            log.success(`저장된 세션을 삭제했습니다: ${sessionPath}`);
+        } else {
+            log.info('저장된 세션이 없습니다.');
+        }
+        return;
+    }
+
+    if (!fs.existsSync(sessionPath)) {
+        log.info('저장된 세션이 없습니다.');
+        return;
+    }
+    let session = {};
+    try {
+        session = JSON.parse(fs.readFileSync(sessionPath, 'utf8'));
+    } catch (e) {
+        // Unreadable file: still worth reporting so it can be forgotten
+    }
+    log.info(`저장된 세션: ${sessionPath}`);
+    log.info(`  계정: ${session.email || '(알 수 없음)'}`);
+    log.info(`  저장 시각: ${session.savedAt || '(알 수 없음)'}`);
+    log.info('');
+    log.info('삭제하려면: node upload.js logout --forget ' + args.contentFolder);
+}
+
+/**
+ * Fresh counters for one sync
+ * @returns {object}
+ */
+function createCounts() {
+    return { deleted: 0, created: 0, updated: 0, renamed: 0, connected: 0, failures: { image: 0, audio: 0, page: 0, connect: 0 } };
+}
+
+/**
+ * Summarize sync counters as display parts
+ * @param {object} counts - Result of createCounts after a sync
+ * @returns {{ changes: string[], failures: string[] }}
+ */
+function summarizeCounts(counts) {
+    const changes = [];
+    if (counts.deleted > 0) changes.push(`삭제 ${counts.deleted}`);
+    if (counts.created > 0) changes.push(`생성 ${counts.created}`);
+    if (counts.updated > 0) changes.push(`수정 ${counts.updated}`);
+    if (counts.renamed > 0) changes.push(`이름 변경 ${counts.renamed}`);
+    if (counts.connected > 0) changes.push(`연결 ${counts.connected}`);
+
+    const failures = [];
+    if (counts.failures.image > 0) failures.push(`이미지 ${counts.failures.image}`);
+    if (counts.failures.audio > 0) failures.push(`오디오 ${counts.failures.audio}`);
+    if (counts.failures.page > 0) failures.push(`페이지 ${counts.failures.page}`);
+    if (counts.failures.connect > 0) failures.push(`연결 ${counts.failures.connect}`);
+
+    return { changes, failures };
+}
+
+/**
+ * Watch mode (--watch): keep the logged-in session and re-sync whenever files
+ * in the content folder change. Changes are debounced, and a change that
+ * arrives mid-sync queues one more sync. Each sync prints a single line.
+ * @param {object} ctx
+ * @param {object} ctx.browser - Puppeteer browser (logged in)
+ * @param {object} ctx.page - Puppeteer page
+ * @param {string} ctx.contentPath - Absolute content folder path
+ * @param {object} ctx.labyMeta - labyrinth.meta contents (shared across syncs)
+ * @returns {Promise<void>} Resolves on Ctrl+C, after any running sync finishes
+ */
+function watchAndSync({ browser, page, contentPath, labyMeta }) {
+    const DEBOUNCE_MS = 500;
+    const excludeDirs = ['node_modules', 'lib', '.git', 'preview', '.cache'];
+
+    // Meta files are written by the sync itself; account/session files never affect content
+    const isIgnored = (file) => {
+        const parts = file.split(path.sep);
+        const base = parts[parts.length - 1];
+        return parts.some(p => excludeDirs.includes(p)) ||
+            base.endsWith('.meta') || base === 'account.json' || base === SESSION_FILE ||
+            base.startsWith('.');
+    };
+
+    return new Promise((resolve) => {
+        const changed = new Set();
+        let timer = null;
+        let running = false;
+        let pending = false;
+        let stopping = false;
+
+        async function runSync() {
+            if (running) {
+                pending = true;
+                return;
+            }
+            running = true;
+            const files = [...changed];
+            changed.clear();
+            const time = new Date().toTimeString().slice(0, 8);
+            const counts = createCounts();
+
+            // Step-by-step output would bury the one-line summary (errors still show)
+            const wasQuiet = OPTIONS.quiet;
+            OPTIONS.quiet = wasQuiet || !OPTIONS.verbose;
+            try {
+                const config = JSON.parse(fs.readFileSync(path.join(contentPath, 'labyrinth.json'), 'utf8'));
+                const validation = validateConfig(config, contentPath);
+                if (!validation.valid) {
+                    throw new Error(`설정 검증 실패: ${validation.errors.join(', ')}`);
+                }
+                await syncLabyrinth({ browser, page, config, contentPath, labyMeta, counts });
+
+                OPTIONS.quiet = wasQuiet;
+                const { changes, failures } = summarizeCounts(counts);
+                const fileList = files.length > 3 ? `${files.slice(0, 3).join(', ')} 외 ${files.length - 3}개` : files.join(', ');
+                log.info(`[${time}] ${fileList} → ${changes.join(', ') || '변경 없음'}`);
+                if (failures.length > 0) {
+                    log.error(`  실패: ${failures.join(', ')} (다음 동기화 때 재시도됨)`);
+                }
+            } catch (error) {
+                OPTIONS.quiet = wasQuiet;
+                log.error(`[${time}] 동기화 실패: ${error.message}`);
+                if (OPTIONS.verbose) log.error(error.stack);
+            } finally {
+                OPTIONS.quiet = wasQuiet;
+                running = false;
+            }
+
+            if (stopping) {
+                resolve();
+            } else if (pending) {
+                pending = false;
+                runSync();
+            }
+        }
+
+        const watcher = fs.watch(contentPath, { recursive: true }, (eventType, filename) => {
+            if (stopping) return;
+            const file = filename ? filename.toString() : '';
+            if (file && isIgnored(file)) return;
+            changed.add(file.split(path.sep).join('/') || '(알 수 없음)');
+            clearTimeout(timer);
+            timer = setTimeout(runSync, DEBOUNCE_MS);
+        });
+
+        process.once('SIGINT', () => {
+            stopping = true;
+            clearTimeout(timer);
+            watcher.close();
+            log.info('');
+            log.info('변경 감시를 종료합니다.');
+            if (!running) resolve();
+        });
+    });
+}
+
+async function main() {
+    // Parse CLI arguments
+    const args = parseArgs();
+    OPTIONS = args;
 
     // Set global logger for submodules
     setLogger(log);
@@ -992,6 +3408,16 @@ async function main() {
     const configPath = path.join(contentPath, 'labyrinth.json');
     const metaPath = path.join(contentPath, 'labyrinth.meta');
 
+    if (args.command === 'pull') {
+        await runPull(args, contentPath);
+        return;
+    }
+
+    if (args.command === 'logout') {
+        runLogout(args, contentPath);
+        return;
+    }
+
     // Check if content folder exists
     if (!fs.existsSync(contentPath)) {
         log.error(`콘텐츠 폴더를 찾을 수 없습니다: ${contentPath}`);
@@ -1021,39 +3447,115 @@ async function main() {
         process.exit(1);
     }
 
-    // Load account credentials
-    const account = loadAccount(contentPath);
+    // Graph output goes to stdout, so it skips the header below
+    if (args.command === 'graph') {
+        try {
+            runGraph(config, contentPath, args);
+        } catch (error) {
+            log.error(`오류가 발생했습니다: ${error.message}`);
+            if (OPTIONS.verbose) log.error(error.stack);
+            process.exit(1);
+        }
+        return;
+    }
+
+    // Plan, validate and preview never log in, so they don't need credentials
+    const offline = args.plan || args.command === 'validate' || args.command === 'preview';
+    const account = offline ? null : loadAccount(contentPath, args);
 
-    log.info('=== 더라비린스 업로드 ===');
+    const headers = {
+        validate: '=== 더라비린스 검증 ===',
+        preview: '=== 더라비린스 미리보기 ===',
+        plan: '=== 더라비린스 업로드 계획 (사이트 변경 없음) ===',
+        upload: '=== 더라비린스 업로드 ==='
+    };
+    log.info(headers[args.command !== 'upload' ? args.command : args.plan ? 'plan' : 'upload']);
     log.info(`폴더: ${contentFolder}`);
     log.info(`미궁: ${config.title}`);
     log.info('');
 
     // Validate config
-    const validation = validateConfig(config);
+    const validation = validateConfig(config, contentPath);
     if (!validation.valid) {
         log.error('설정 검증 실패:');
         validation.errors.forEach(err => log.error(`  - ${err}`));
         process.exit(1);
     }
+    if (validation.warnings.length > 0) {
+        log.info('[설정 주의사항]');
+        validation.warnings.forEach(w => log.info(`  - ${w}`));
+        log.info('');
+    }
+
+    if (args.command === 'validate') {
+        try {
+            if (!runValidate(config, contentPath)) process.exitCode = 1;
+        } catch (error) {
+            log.error(`오류가 발생했습니다: ${error.message}`);
+            if (OPTIONS.verbose) log.error(error.stack);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (args.command === 'preview') {
+        try {
+            await runPreview(config, contentPath, args);
+        } catch (error) {
+            log.error(`오류가 발생했습니다: ${error.message}`);
+            if (OPTIONS.verbose) log.error(error.stack);
+            process.exit(1);
+        }
+        return;
+    }
+
+    if (args.plan) {
+        try {
+            printUploadPlan(config, contentPath);
+        } catch (error) {
+            log.error('');
+            log.error(`오류가 발생했습니다: ${error.message}`);
+            if (OPTIONS.verbose) log.error(error.stack);
+            process.exit(1);
+        }
+        return;
+    }
+
+    // Catch page errors (broken images included) before logging in
+    try {
+        const { pages } = loadPages(contentPath, [], { skipMeta: true, config });
+        const pageValidation = validateAllPages(pages, config.first_page || config.start_page || null, contentPath);
+        if (!pageValidation.valid) {
+            log.error('페이지 검증 실패:');
+            pageValidation.errors.forEach(e => log.error(`  - ${e}`));
+            log.error('');
+            log.error('오류를 수정한 후 다시 실행해주세요.');
+            process.exit(1);
+        }
+    } catch (error) {
+        log.error(`오류가 발생했습니다: ${error.message}`);
+        if (OPTIONS.verbose) log.error(error.stack);
+        process.exit(1);
+    }
 
-    let browser, page;
+    let browser, page, restored;
 
     // Counters for final summary
-    const counts = { deleted: 0, created: 0, updated: 0, connected: 0, failures: { image: 0, audio: 0, page: 0, connect: 0 } };
+    const counts = createCounts();
 
     try {
         // Login with retry
         log.section(1, 6, '로그인');
-        ({ browser, page } = await withRetry(
+        ({ browser, page, restored } = await withRetry(
             () => login({
                 email: account.email,
                 password: account.password,
-                headless: !args.showBrowser
+                headless: !args.showBrowser,
+                sessionPath: path.join(contentPath, SESSION_FILE)
             }),
             '로그인'
         ));
-        log.item('완료');
+        log.item(restored ? '완료 (저장된 세션)' : '완료');
 
         // Check if labyrinth.meta exists
         let labyMeta = {};
@@ -1062,6 +3564,13 @@ async function main() {
             labyMeta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
         }
 
+        // Drift check needs an uploaded labyrinth; never touch metas in report-only mode
+        if (args.checkDrift && !labyMeta.id) {
+            log.info('');
+            log.info('아직 업로드되지 않은 미궁입니다 (labyrinth.meta 없음).');
+            return;
+        }
+
         // If new labyrinth, clean up all existing page meta files
         if (isNewLabyrinth) {
             const existingMetas = findPageMetaFiles(contentPath);
@@ -1073,812 +3582,55 @@ async function main() {
             }
         }
 
-        // Compute current config hash
-        const currentHash = computeLabyrinthHash(config, contentPath);
-
-        // Options for labyrinth functions
-        const options = { browser, labyPath: contentPath };
-
-        // Create or update labyrinth (with retry)
-        log.info('');
-        if (!labyMeta.id) {
-            log.section(2, 6, '미궁 생성');
-            const labyrinthId = await withRetry(
-                () => createLabyrinth(page, config, options),
-                '미궁 생성'
-            );
-
-            labyMeta.id = labyrinthId;
-            labyMeta.hash = currentHash;
-            labyMeta.images = labyMeta.images || {};
-            labyMeta.audio = labyMeta.audio || {};
-            labyMeta.pageIds = labyMeta.pageIds || [];
-            fs.writeFileSync(metaPath, JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
-            log.item(`완료 (ID: ${labyrinthId})`);
-        } else if (labyMeta.hash !== currentHash) {
-            log.section(2, 6, '미궁 정보 수정');
-            await withRetry(
-                () => updateLabyrinth(page, labyMeta.id, config, options),
-                '미궁 수정'
-            );
-
-            labyMeta.hash = currentHash;
-            fs.writeFileSync(metaPath, JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
-            log.item('완료');
-        } else {
-            log.section(2, 6, '미궁 정보 (변경 없음)');
-        }
-
-        const labyrinthId = labyMeta.id;
-        let imageCache = labyMeta.images || {};
-        let audioCache = labyMeta.audio || {};
-        let pageIds = labyMeta.pageIds || [];
-
-        // Find all page files
-        log.verbose('');
-        log.verbose('  페이지 파일 스캔 중...');
-        const htmlNames = findPageHtmlFiles(contentPath);
-        const jsonNames = findPageJsonFiles(contentPath);
-        const metaNames = findPageMetaFiles(contentPath);
-        log.verbose(`  HTML: ${htmlNames.length}, JSON: ${jsonNames.length}, Meta: ${metaNames.length}, 등록된 ID: ${pageIds.length}`);
-
-        // Load all page data and meta
-        const pages = {};
-        const metas = {};
-
-        // Load pages with both HTML and JSON
-        for (const name of htmlNames) {
-            if (jsonNames.includes(name)) {
-                const html = readPageHtml(contentPath, name);
-                const json = readPageJson(contentPath, name);
-                const meta = readPageMeta(contentPath, name);
-                if (html && json) {
-                    // Calculate image + audio checksums for change detection
-                    const pageDir = path.dirname(path.join(contentPath, `${name}.html`));
-                    const localImages = findLocalImages(html, pageDir, contentPath);
-                    const localAudios = findLocalAudio(html, pageDir, contentPath);
-
-                    // Also include explanation images in checksums
-                    const answers = json.answers || [];
-                    for (const ans of answers) {
-                        if (ans.explanation && ans.explanation.includes('<')) {
-                            try {
-                                const explImages = findLocalImages(ans.explanation, pageDir, contentPath);
-                                localImages.push(...explImages);
-                                const explAudios = findLocalAudio(ans.explanation, pageDir, contentPath);
-                                localAudios.push(...explAudios);
-                            } catch (e) {
-                                // Ignore errors in explanation asset detection for hash calculation
-                            }
-                        }
-                    }
-
-                    const assetChecksums = [
-                        ...[...new Set(localImages)].map(p => calculateChecksum(p)),
-                        ...[...new Set(localAudios)].map(p => calculateChecksum(p))
-                    ];
-                    pages[name] = { html, json, meta, hash: computePageHash(html, json, assetChecksums) };
-                }
-                metas[name] = meta;
-            }
-        }
-
-        // Load meta-only files
-        for (const name of metaNames) {
-            if (!metas[name]) {
+        // Drift check: compare what the meta says was uploaded with the live site
+        if ((args.checkDrift || args.driftGuard) && labyMeta.id) {
+            log.info('');
+            log.info('[원격 변경 확인]');
+            const metas = {};
+            for (const name of findPageMetaFiles(contentPath)) {
                 metas[name] = readPageMeta(contentPath, name);
             }
-        }
-
-        // Determine page states
-        const states = determinePageStates(htmlNames, jsonNames, metaNames, pageIds, metas);
-
-        // Show warnings for abnormal states (verbose only)
-        const warnings = [];
-
-        if (states.json_missing.length > 0) {
-            for (const item of states.json_missing) {
-                warnings.push(`[${item.name}] HTML은 있지만 JSON이 없음 - 건너뜀`);
-            }
-        }
-
-        if (states.html_missing.length > 0) {
-            for (const item of states.html_missing) {
-                warnings.push(`[${item.name}] JSON은 있지만 HTML이 없음 - 건너뜀`);
-            }
-        }
-
-        if (states.pageIds_missing.length > 0) {
-            for (const item of states.pageIds_missing) {
-                warnings.push(`[${item.name}] 목록에서 누락됨 (ID: ${item.id}) - 삭제 후 재생성`);
-            }
-        }
-
-        if (states.residual_meta.length > 0) {
-            for (const item of states.residual_meta) {
-                warnings.push(`[${item.name}] 잔여 메타 파일 (ID: ${item.id}) - 정리 예정`);
-            }
-        }
-
-        if (states.orphan.length > 0) {
-            warnings.push(`미사용 페이지 ID: ${states.orphan.join(', ')} - 사이트에서 삭제 예정`);
-        }
-
-        if (warnings.length > 0) {
-            log.verbose('');
-            log.verbose('  [주의]');
-            warnings.forEach(w => log.verbose(`    ${w}`));
-        }
-
-        // Validate all valid pages
-        const pageValidation = validateAllPages(pages);
-
-        // Show validation warnings (verbose only)
-        if (pageValidation.warnings.length > 0) {
-            log.verbose('');
-            log.verbose('  [검증 주의사항]');
-            pageValidation.warnings.forEach(w => log.verbose(`    ${w}`));
-        }
-
-        // Stop on errors
-        if (!pageValidation.valid) {
-            log.error('');
-            log.error('페이지 검증 실패:');
-            pageValidation.errors.forEach(e => log.error(`  - ${e}`));
-            log.error('');
-            log.error('오류를 수정한 후 다시 실행해주세요.');
-            process.exit(1);
-        }
-
-        // Determine first page from config
-        const firstPage = config.first_page || config.start_page || null;
-
-        // Validate first_page reference
-        if (firstPage && !Object.keys(pages).includes(firstPage)) {
-            log.error(`시작 페이지를 찾을 수 없습니다: "${firstPage}"`);
-            log.error(`사용 가능한 페이지: ${Object.keys(pages).join(', ')}`);
-            process.exit(1);
-        }
-
-        // Categorize pages for processing
-        const newPages = [...states.new];
-        const updatedPages = [];
-        const unchangedPages = [];
-
-        // Normal pages: check if content changed.
-        // Answer changes are now handled IN PLACE (no delete-recreate): the page keeps
-        // its ID, so child connections bound to per-row routes survive. syncAnswers()
-        // overwrites/appends/deletes rows without clearing every slot.
-        const answersChangedPages = new Set();
-        // Child page paths that an in-place parent STOPPED pointing to (answer dropped or
-        // re-pointed). Their stale parent link must be cleared in Step 6 even though they
-        // are no longer a connection target.
-        const droppedChildTargets = new Set();
-        for (const name of states.normal) {
-            const pageInfo = pages[name];
-            if (pageInfo.meta.hash !== pageInfo.hash) {
-                const oldAnswers = pageInfo.meta.answers || [];
-                const newAnswers = (pageInfo.json.answers || []).map(a => a.answer);
-                const answersChanged = oldAnswers.length !== newAnswers.length ||
-                    oldAnswers.some((a, i) => a !== newAnswers[i]);
-                if (answersChanged) {
-                    answersChangedPages.add(name);
-                }
-                // Independently of text changes, compare old vs new answer targets to find
-                // children this page STOPPED pointing to (answer dropped or next re-pointed).
-                // A pure next-remap (same text) still needs the old child's link cleared.
-                const oldTargets = pageInfo.meta.answerTargets || [];
-                const newTargets = new Set((pageInfo.json.answers || []).map(a => a.next).filter(Boolean));
-                for (const t of oldTargets) {
-                    if (t && !newTargets.has(t)) droppedChildTargets.add(t);
-                }
-                updatedPages.push({ name });
-            } else {
-                unchangedPages.push(name);
-            }
-        }
-
-        // pageIds_missing: meta has an ID the site list doesn't know — recreate.
-        // (These are genuinely gone from the site, so there's nothing to update in place.)
-        const pagesToDeleteBeforeRecreate = [];
-        for (const item of states.pageIds_missing) {
-            // The page is already absent from the site list; only delete if it still
-            // resolves (deletePage tolerates already-deleted), then recreate.
-            pagesToDeleteBeforeRecreate.push(item.id);
-            newPages.push(item.name);
-            pages[item.name].meta = {};
-        }
-
-        // Every changed normal page is updated in place now (recreate path removed).
-        const pagesToUpdateInPlace = updatedPages.map(item => item.name);
-
-        // Pages to delete (orphans, residual_meta with IDs)
-        const pagesToDelete = [...states.orphan];
-        for (const item of states.residual_meta) {
-            if (item.id && item.inPageIds) {
-                pagesToDelete.push(item.id);
-            }
-        }
-
-        // Meta files to clean up
-        const metasToDelete = [];
-        for (const item of states.json_missing) {
-            if (item.hasMeta) {
-                metasToDelete.push(item.name);
-                if (item.metaId && pageIds.includes(item.metaId)) {
-                    pagesToDelete.push(item.metaId);
-                }
-            }
-        }
-        for (const item of states.html_missing) {
-            if (item.hasMeta) {
-                metasToDelete.push(item.name);
-                if (item.metaId && pageIds.includes(item.metaId)) {
-                    pagesToDelete.push(item.metaId);
-                }
-            }
-        }
-        for (const item of states.residual_meta) {
-            metasToDelete.push(item.name);
-        }
-
-        log.verbose(`  신규: ${newPages.length}, 수정: ${pagesToUpdateInPlace.length}, 변경없음: ${unchangedPages.length}`);
-        log.verbose(`  삭제 예정: ${pagesToDelete.length + pagesToDeleteBeforeRecreate.length}`);
-
-        // ============================================================
-        // Step 3: Delete unused pages (including pages that need recreation)
-        // ============================================================
-        const allPagesToDelete = [...pagesToDelete, ...pagesToDeleteBeforeRecreate];
-        log.info('');
-        log.section(3, 6, '미사용 페이지 삭제');
-        if (allPagesToDelete.length > 0) {
-            for (let i = 0; i < allPagesToDelete.length; i++) {
-                const pageId = allPagesToDelete[i];
-                log.progress(i + 1, allPagesToDelete.length, `ID: ${pageId}`);
-                const success = await deletePage(page, labyrinthId, pageId);
-                if (success) {
-                    pageIds = pageIds.filter(id => id !== pageId);
-                    counts.deleted++;
-                    log.verbose(`    삭제됨`);
-                } else {
-                    log.verbose(`    실패 (이미 삭제됨)`);
-                    pageIds = pageIds.filter(id => id !== pageId);
-                }
-                await new Promise(r => setTimeout(r, 50));
-            }
+            const report = await checkDrift(page, labyMeta, metas);
+            const hasDrift = printDriftReport(report);
 
-            labyMeta.pageIds = pageIds;
-            fs.writeFileSync(metaPath, JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
-            log.item('완료');
-        } else {
-            log.item('삭제할 페이지 없음');
-        }
-
-        // Clean up unused meta files
-        if (metasToDelete.length > 0) {
-            log.verbose(`  메타 파일 정리 중... (${metasToDelete.length}개)`);
-            for (const name of metasToDelete) {
-                deletePageMeta(contentPath, name);
-                log.verbose(`    ${name}.meta 삭제됨`);
-            }
-        }
-
-        // Build page name -> ID mapping. Starts with already-known IDs (existing pages)
-        // and grows as new pages are created in Step 4, so a new page's content can
-        // resolve references to other pages that were created earlier in the same run.
-        const pageIdMap = {};
-        for (const [name, pageInfo] of Object.entries(pages)) {
-            if (pageInfo.meta.id) {
-                pageIdMap[name] = pageInfo.meta.id;
-            }
-        }
-
-        // Shared content pipeline. The editor for `name` must already be navigated
-        // (create screen for new pages, edit screen for updates) — asset uploads run
-        // against that editor. Returns processed HTML + answers, asset failures, and
-        // any page references that could NOT be resolved with the CURRENT pageIdMap
-        // (caller re-edits those once all IDs exist).
-        async function buildPageContent(name) {
-            const pageData = pages[name].json;
-            let html = pages[name].html;
-            const pageDir = path.dirname(path.join(contentPath, `${name}.html`));
-
-            const localImages = findLocalImages(html, pageDir, contentPath);
-            const localAudios = findLocalAudio(html, pageDir, contentPath);
-
-            const answers = pageData.answers || [];
-            const processedAnswers = [];
-            for (const ans of answers) {
-                let explanationHtml = ans.explanation || '';
-                if (explanationHtml && explanationHtml.includes('<')) {
-                    localImages.push(...findLocalImages(explanationHtml, pageDir, contentPath));
-                    localAudios.push(...findLocalAudio(explanationHtml, pageDir, contentPath));
-                }
-                processedAnswers.push({ ...ans, explanationHtml });
-            }
-
-            let imageFailures = 0;
-            if (localImages.length > 0) {
-                log.verbose(`    이미지 ${localImages.length}개 처리 중...`);
-                const { cache: newCache, pathMap, failures } = await uploadNewImages(browser, page, localImages, imageCache);
-                imageFailures = failures;
-                counts.failures.image += failures;
-                imageCache = newCache;
-                labyMeta.images = imageCache;
-                fs.writeFileSync(metaPath, JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
-                html = replaceLocalImages(html, pathMap, pageDir, contentPath);
-                for (const ans of processedAnswers) {
-                    if (ans.explanationHtml) ans.explanationHtml = replaceLocalImages(ans.explanationHtml, pathMap, pageDir, contentPath);
-                }
-            }
-
-            let audioFailures = 0;
-            if (localAudios.length > 0) {
-                log.verbose(`    오디오 ${localAudios.length}개 처리 중...`);
-                const { cache: newCache, pathMap, failures } = await uploadNewAudios(browser, page, localAudios, audioCache);
-                audioFailures = failures;
-                counts.failures.audio = (counts.failures.audio || 0) + failures;
-                audioCache = newCache;
-                labyMeta.audio = audioCache;
-                fs.writeFileSync(metaPath, JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
-                html = replaceLocalAudio(html, pathMap, pageDir, contentPath);
-                for (const ans of processedAnswers) {
-                    if (ans.explanationHtml) ans.explanationHtml = replaceLocalAudio(ans.explanationHtml, pathMap, pageDir, contentPath);
-                }
-            }
-
-            // Which page references can't be resolved yet (target ID not in map)?
-            const unresolvedRefs = findContentPageRefs(html).filter(ref => !pageIdMap[ref]);
-
-            // Resolve the references we can; minify.
-            html = replaceVisitPaths(html, pageIdMap);
-            html = replaceGoPagePaths(html, pageIdMap);
-            html = minifyHtml(html);
-            for (const ans of processedAnswers) {
-                if (ans.explanationHtml) ans.explanationHtml = minifyHtml(ans.explanationHtml);
-            }
-
-            return {
-                html, processedAnswers, imageFailures, audioFailures, unresolvedRefs,
-                assetsUploaded: localImages.length > 0 || localAudios.length > 0,
-            };
-        }
-
-        // ============================================================
-        // Step 4: Create new pages with real content + answers (single save).
-        // Pages whose content references a not-yet-created page are flagged for a
-        // content re-edit in Step 5 (once all IDs exist).
-        // ============================================================
-        const pagesNeedingReEdit = new Set();
-        log.info('');
-        log.section(4, 6, '페이지 생성');
-        if (newPages.length > 0) {
-            for (let i = 0; i < newPages.length; i++) {
-                const name = newPages[i];
-                const pageData = pages[name].json;
-                log.progress(i + 1, newPages.length, `${name}: ${pageData.title}`);
-
-                if (!pages[name].html) {
-                    log.error(`    HTML 내용이 없습니다`);
-                    counts.failures.page++;
-                    continue;
-                }
-
-                await withRetry(
-                    () => navigateToCreatePage(page, labyrinthId),
-                    '페이지 생성 화면 이동'
-                );
-
-                // Build content against the create-screen editor (asset upload needs
-                // the editor present; it works before the page has an ID).
-                const built = await buildPageContent(name);
-
-                // If assets were uploaded, popups may have disturbed the create form —
-                // re-navigate and rebuild URLs are already in `built.html`.
-                if (built.assetsUploaded) {
-                    await withRetry(
-                        () => navigateToCreatePage(page, labyrinthId),
-                        '페이지 생성 화면 이동'
-                    );
-                }
-
-                const isFirst = (firstPage === name);
-                const isEnding = pageData.is_ending || false;
-                const answers = pageData.answers || [];
-                const hasAnswers = answers.length > 0;
-
-                await fillPageForm(page, {
-                    title: pageData.title,
-                    bgColor: pageData.background_color || '#000000',
-                    isFirst,
-                    isEnding,
-                    hasAnswers,
-                    hint: pageData.hint || '',
-                    hint_enabled: pageData.hint_enabled || false,
-                    content: built.html,
-                });
-
-                // Add real answers via pure UI in order — the server assigns route
-                // 1..N by DOM order (verified), so no hidden-field manipulation needed.
-                let answerFailures = 0;
-                for (let j = 0; j < built.processedAnswers.length; j++) {
-                    const ans = built.processedAnswers[j];
-                    const result = await addAnswer(page, ans.answer, ans.public || false, ans.explanationHtml || '');
-                    if (result !== 'filled') {
-                        log.fail(`    답안 추가 실패(슬롯 ${j + 1}): ${result}`);
-                        answerFailures++;
-                    } else {
-                        log.verbose(`    슬롯 ${j + 1}: "${ans.answer}"`);
-                    }
-                }
-
-                const pageId = await withRetry(
-                    () => submitPageForm(page, labyrinthId, pageData.title),
-                    '페이지 저장'
-                );
-
-                if (pageId) {
-                    pages[name].meta.id = pageId;
-                    pageIdMap[name] = pageId;
-                    pages[name].finalHtml = built.html;
-
-                    if (!pageIds.includes(pageId)) {
-                        pageIds.push(pageId);
-                    }
-
-                    // Persist meta now (so a later crash doesn't orphan the page).
-                    // Skip hash if anything failed or a re-edit is pending, so next run retries.
-                    pages[name].meta.is_first = isFirst;
-                    pages[name].meta.is_ending = isEnding;
-                    pages[name].meta.answers = answers.map(a => a.answer);
-                    // Remember each answer's target so a later in-place update can detect
-                    // which child a dropped/re-pointed answer used to link to.
-                    pages[name].meta.answerTargets = answers.map(a => a.next || null);
-                    const clean = built.imageFailures === 0 && built.audioFailures === 0 && answerFailures === 0;
-                    if (clean && built.unresolvedRefs.length === 0) {
-                        pages[name].meta.hash = pages[name].hash;
-                    }
-                    writePageMeta(contentPath, name, pages[name].meta);
-
-                    if (built.unresolvedRefs.length > 0) {
-                        pagesNeedingReEdit.add(name);
-                        log.verbose(`    재에디팅 예약 (미해결 참조: ${built.unresolvedRefs.join(', ')})`);
-                    }
-
-                    counts.created++;
-                    log.verbose(`    생성됨 (ID: ${pageId})`);
-                } else {
-                    counts.failures.page++;
-                    log.fail(`${name}: 페이지 ID를 받아올 수 없습니다`);
-                }
+            if (args.checkDrift) {
+                // Report-only mode: never upload; non-zero exit when drift was found
+                if (hasDrift) process.exitCode = 1;
+                return;
             }
 
-            labyMeta.pageIds = pageIds;
-            fs.writeFileSync(metaPath, JSON.stringify(labyMeta, null, 4) + '\n', 'utf8');
-            log.item('완료');
-        } else {
-            log.item('생성할 페이지 없음');
-        }
-
-        // Pages that get a content (re-)write in Step 5:
-        //  - in-place updated pages (changed content, unchanged answers)
-        //  - new pages flagged for re-edit (content referenced a page created later)
-        // New pages NOT in pagesNeedingReEdit already have final content + answers
-        // from Step 4, so they are skipped here (saving one form submit each).
-        const pagesToReEdit = [
-            ...newPages.filter(name => pages[name].meta.id && pagesNeedingReEdit.has(name)),
-            ...pagesToUpdateInPlace,
-        ];
-        // pagesToUpdate = every page whose content we (re)wrote this run. Step 6 uses
-        // it to decide which sources' connections to re-establish.
-        const pagesToUpdate = [
-            ...newPages.filter(name => pages[name].meta.id),
-            ...pagesToUpdateInPlace,
-        ];
-
-        log.info('');
-        log.section(5, 6, '페이지 수정');
-        if (pagesToReEdit.length > 0) {
-
-            for (let i = 0; i < pagesToReEdit.length; i++) {
-                const name = pagesToReEdit[i];
-                const pageData = pages[name].json;
-                const pageMeta = pages[name].meta;
-                const pageId = pageMeta.id;
-
-                if (!pageId) continue;
-
-                log.progress(i + 1, pagesToReEdit.length, `${name}: ${pageData.title}`);
-
-                if (!pages[name].html) {
-                    log.error(`    HTML 내용이 없습니다`);
-                    continue;
-                }
-
-                // Navigate to the edit screen first (assets + content go here).
-                await withRetry(
-                    () => navigateToEditPage(page, labyrinthId, pageId),
-                    '페이지 편집 화면 이동'
-                );
-
-                const built = await buildPageContent(name);
-
-                // Asset popups can disturb the edit form — re-navigate if needed.
-                if (built.assetsUploaded) {
-                    await withRetry(
-                        () => navigateToEditPage(page, labyrinthId, pageId),
-                        '페이지 편집 화면 이동'
-                    );
-                }
-
-                if (built.unresolvedRefs.length > 0) {
-                    // Should not happen after all IDs exist; warn so it's visible.
-                    log.error(`    여전히 미해결 참조: ${built.unresolvedRefs.join(', ')}`);
-                }
-
-                const isFirst = (firstPage === name);
-                const isEnding = pageData.is_ending || false;
-                const hasAnswers = (pageData.answers || []).length > 0;
-
-                await fillPageForm(page, {
-                    title: pageData.title,
-                    bgColor: pageData.background_color || '#000000',
-                    isFirst,
-                    isEnding,
-                    hasAnswers,
-                    hint: pageData.hint || '',
-                    hint_enabled: pageData.hint_enabled || false,
-                    content: built.html,
-                });
-
-                // Sync answers IN PLACE when they changed (no delete-recreate). The page
-                // keeps its ID and per-row routes, so child connections survive; Step 6
-                // re-establishes only the links whose answer→next mapping moved.
-                let answerSyncFailures = 0;
-                if (answersChangedPages.has(name)) {
-                    const sync = await syncAnswers(page, built.processedAnswers);
-                    answerSyncFailures = sync.failures;
-                    log.verbose(`    답안 동기화: 덮어씀 ${sync.overwritten}, 추가 ${sync.added}, 삭제 ${sync.deleted}, 실패 ${sync.failures}`);
+            if (hasDrift) {
+                const overwrite = args.yes || await confirm('  로컬 내용으로 사이트를 덮어쓰시겠습니까?');
+                if (!overwrite) {
+                    log.error('  원격 변경이 있어 업로드를 중단합니다. (덮어쓰려면 --yes)');
+                    process.exitCode = 1;
+                    return;
                 }
-
-                await withRetry(
-                    () => submitPageForm(page),
-                    '페이지 저장'
-                );
-
-                if (built.imageFailures === 0 && built.audioFailures === 0 && built.unresolvedRefs.length === 0 && answerSyncFailures === 0) {
-                    pageMeta.hash = pages[name].hash;
-                }
-                pageMeta.is_first = isFirst;
-                pageMeta.is_ending = isEnding;
-                pageMeta.answers = (pageData.answers || []).map(a => a.answer);
-                pageMeta.answerTargets = (pageData.answers || []).map(a => a.next || null);
-                writePageMeta(contentPath, name, pageMeta);
-
-                pages[name].finalHtml = built.html;
-
-                counts.updated++;
-                log.verbose(`    수정됨`);
+                applyDriftOverwrite(report, labyMeta, metas, contentPath);
+                log.item('덮어쓰기로 진행합니다');
             }
-            log.item('완료');
-        } else {
-            log.item('수정할 페이지 없음');
-        }
-
-        // ============================================================
-        // Step 6: Set parent connections
-        // ============================================================
-        // For new/recreated pages, we need to scan ALL pages' answers (not just new/updated)
-        // because existing unchanged pages might have answers pointing to new pages.
-        const connections = {};
-        const newPageIds = new Set(newPages.map(name => pageIdMap[name]).filter(Boolean));
-
-        // Children whose stale parent link must be revisited even though they may not be a
-        // current connection target: pages an in-place parent stopped pointing to. We add
-        // them as targets with an EMPTY-but-rebuilt source list so clearParentConnections
-        // wipes the stale link, and any still-valid parents get re-added by the scan below.
-        const droppedTargetIds = new Set(
-            [...droppedChildTargets].map(t => pageIdMap[t]).filter(Boolean)
-        );
-        for (const id of droppedTargetIds) {
-            if (!connections[id]) connections[id] = [];
-        }
-
-        // id -> name (inverse of pageIdMap), for target lookups in the scan below.
-        const idToName = Object.fromEntries(Object.entries(pageIdMap).map(([n, i]) => [i, n]));
-
-        // Scan all pages' answers. A connection is (re)processed when the target is new,
-        // the source is new/updated, OR the target is a dropped child being cleaned up.
-        for (const [name, pageInfo] of Object.entries(pages)) {
-            const pageData = pageInfo.json;
-            const pageMeta = pageInfo.meta;
-            const fromPageId = pageMeta.id;
-
-            if (!fromPageId) continue;
-
-            const answers = pageData.answers || [];
-            answers.forEach((ans, idx) => {
-                if (ans.next && pageIdMap[ans.next]) {
-                    const targetPageId = pageIdMap[ans.next];
-                    const targetName = idToName[targetPageId];
-                    const isTargetNew = newPageIds.has(targetPageId);
-                    const isSourceNewOrUpdated = pagesToUpdate.includes(name);
-                    const isDroppedTarget = droppedTargetIds.has(targetPageId);
-                    // A target whose hash was cleared by a previous failed connection
-                    // (now in pagesToUpdate) must be reprocessed so the retry actually runs.
-                    const isTargetUpdated = targetName && pagesToUpdate.includes(targetName);
-
-                    if (isTargetNew || isSourceNewOrUpdated || isDroppedTarget || isTargetUpdated) {
-                        if (!connections[targetPageId]) {
-                            connections[targetPageId] = [];
-                        }
-                        connections[targetPageId].push({
-                            fromPageId: fromPageId,
-                            answerIndex: idx + 1,
-                            fromName: name,
-                            answer: ans.answer
-                        });
-                    }
-                }
-            });
         }
 
-        const targetPages = Object.keys(connections);
-        log.info('');
-        log.section(6, 6, '페이지 연결');
-        if (targetPages.length > 0) {
-            // A parent slot's checkbox only appears on a child if that slot is FREE
-            // (unlinked) or already linked to this child. After a reorder, a slot must
-            // move from child A to child B — but it stays bound to A until A is cleared.
-            // So clear ALL affected children first (Phase 1), freeing every slot, then
-            // set the new connections (Phase 2). This avoids intra-run ordering deadlocks.
-            const helper = Object.entries(pageIdMap);
-            const nameOf = (id) => helper.find(([n, i]) => i === id)?.[0] || id;
-
-            // Phase 1: clear parent connections on every target child.
-            for (let i = 0; i < targetPages.length; i++) {
-                const targetPageId = targetPages[i];
-                const targetName = nameOf(targetPageId);
-                log.progress(i + 1, targetPages.length, `초기화 ${targetName}`);
-                await withRetry(
-                    () => navigateToEditPage(page, labyrinthId, targetPageId),
-                    '페이지 편집 화면 이동'
-                );
-                const hadAny = await clearParentConnections(page);
-                if (hadAny) {
-                    // Re-inject HTML so the clearing save doesn't let SmartEditor corrupt content.
-                    if (pages[targetName] && !pages[targetName].finalHtml && pages[targetName].html) {
-                        const rebuilt = await buildPageContent(targetName);
-                        pages[targetName].finalHtml = rebuilt.html;
-                    }
-                    const fh = pages[targetName]?.finalHtml;
-                    if (fh) await setEditorContent(page, fh);
-                    await withRetry(() => submitPageForm(page), '페이지 저장');
-                }
-                await new Promise(r => setTimeout(r, 50));
-            }
-
-            // Verify a desired connection actually persisted on the child: a checked
-            // checkbox for the parent whose label answer-part matches the source answer
-            // (label-first, mirroring setParentConnection), or the index value as fallback.
-            const connectionPersisted = (live, src) => live.some(c => {
-                if (!c.checked) return false;
-                if (String(c.parentPageId) !== String(src.fromPageId)) return false;
-                const label = c.label || '';
-                const sep = label.lastIndexOf(':');
-                const answerPart = (sep >= 0 ? label.slice(sep + 1) : label).trim();
-                if (src.answer && answerPart === src.answer) return true;
-                return c.answerIndex === src.answerIndex;
-            });
-
-            // Phase 2: set the desired connections on every target child (slots now free).
-            // After saving, RE-READ the child's connections to verify the save actually
-            // persisted: the site occasionally drops a checkbox save under load, and a
-            // click+submit alone can't detect that (the click "succeeds" client-side, so
-            // an unverified run reports 연결 OK while the link is silently gone). Retry the
-            // still-missing links a few times, then report any that never took as a real
-            // failure (counted + hash cleared so the next run retries).
-            const MAX_CONNECT_ATTEMPTS = 3;
-            for (let i = 0; i < targetPages.length; i++) {
-                const targetPageId = targetPages[i];
-                const sources = connections[targetPageId];
-                const targetName = nameOf(targetPageId);
-
-                log.progress(i + 1, targetPages.length, targetName);
-
-                let missing = sources.slice();
-                for (let attempt = 1; attempt <= MAX_CONNECT_ATTEMPTS && missing.length > 0; attempt++) {
-                    await withRetry(
-                        () => navigateToEditPage(page, labyrinthId, targetPageId),
-                        '페이지 편집 화면 이동'
-                    );
-
-                    // Set only the still-missing links; already-persisted ones load
-                    // pre-checked and are preserved by the submit.
-                    for (const src of missing) {
-                        // Pass answer text so setParentConnection matches the checkbox by
-                        // label first (robust to slot reordering); index is the fallback.
-                        const success = await setParentConnection(page, src.fromPageId, src.answerIndex, src.answer);
-                        log.verbose(`    <- ${src.fromName} [정답: ${src.answer}]${success ? '' : ' (체크 실패)'}`);
-                    }
-
-                    // Re-set HTML content to overwrite any changes made by SmartEditor.
-                    if (pages[targetName] && !pages[targetName].finalHtml && pages[targetName].html) {
-                        const rebuilt = await buildPageContent(targetName);
-                        pages[targetName].finalHtml = rebuilt.html;
-                    }
-                    const finalHtml = pages[targetName]?.finalHtml;
-                    if (finalHtml) {
-                        await setEditorContent(page, finalHtml);
-                    }
-
-                    await withRetry(
-                        () => submitPageForm(page),
-                        '페이지 저장'
-                    );
-
-                    // Re-read the freshly-persisted server state and recompute what's missing.
-                    await withRetry(
-                        () => navigateToEditPage(page, labyrinthId, targetPageId),
-                        '페이지 편집 화면 이동(검증)'
-                    );
-                    const live = await getParentConnections(page);
-                    missing = sources.filter(src => !connectionPersisted(live, src));
-                    if (missing.length > 0 && attempt < MAX_CONNECT_ATTEMPTS) {
-                        log.verbose(`    검증: 미반영 ${missing.length}개 → 재시도 ${attempt + 1}/${MAX_CONNECT_ATTEMPTS}`);
-                    }
-                }
-
-                if (missing.length === 0) {
-                    counts.connected++;
-                } else {
-                    for (const m of missing) {
-                        log.error(`    연결 미반영: ${targetName} <- ${m.fromName} [정답: ${m.answer}]`);
-                        counts.failures.connect++;
-                    }
-                    if (pages[targetName]) {
-                        // Clear hash so next run retries this page
-                        const targetMeta = pages[targetName].meta;
-                        delete targetMeta.hash;
-                        writePageMeta(contentPath, targetName, targetMeta);
-                    }
-                }
-                await new Promise(r => setTimeout(r, 50));
-            }
-            log.item('완료');
-        } else {
-            log.item('연결할 페이지 없음');
-        }
+        const { pageCount } = await syncLabyrinth({ browser, page, config, contentPath, labyMeta, counts });
 
         // Final summary
         log.info('');
-        const summaryParts = [];
-        if (counts.deleted > 0) summaryParts.push(`삭제 ${counts.deleted}`);
-        if (counts.created > 0) summaryParts.push(`생성 ${counts.created}`);
-        if (counts.updated > 0) summaryParts.push(`수정 ${counts.updated}`);
-        if (counts.connected > 0) summaryParts.push(`연결 ${counts.connected}`);
-
-        const audioFailures = counts.failures.audio || 0;
-        const totalFailures = counts.failures.image + audioFailures + counts.failures.page + counts.failures.connect;
-        if (summaryParts.length > 0 || totalFailures > 0) {
-            log.info(`업로드 완료! (${summaryParts.join(', ') || '변경 없음'})`);
-        } else {
-            log.info('업로드 완료! (변경 없음)');
+        const { changes, failures } = summarizeCounts(counts);
+        log.info(`업로드 완료! (${changes.join(', ') || '변경 없음'})`);
+        if (failures.length > 0) {
+            log.error(`  실패: ${failures.join(', ')} (다음 실행 시 재시도됨)`);
         }
 
-        if (totalFailures > 0) {
-            const failParts = [];
-            if (counts.failures.image > 0) failParts.push(`이미지 ${counts.failures.image}`);
-            if (audioFailures > 0) failParts.push(`오디오 ${audioFailures}`);
-            if (counts.failures.page > 0) failParts.push(`페이지 ${counts.failures.page}`);
-            if (counts.failures.connect > 0) failParts.push(`연결 ${counts.failures.connect}`);
-            log.error(`  실패: ${failParts.join(', ')} (다음 실행 시 재시도됨)`);
-        }
+        log.verbose(`  미궁 ID: ${labyMeta.id}`);
+        log.verbose(`  총 페이지: ${pageCount}개`);
+        log.verbose(`  이미지 캐시: ${Object.keys(labyMeta.images || {}).length}개`);
+        log.verbose(`  오디오 캐시: ${Object.keys(labyMeta.audio || {}).length}개`);
 
-        log.verbose(`  미궁 ID: ${labyrinthId}`);
-        log.verbose(`  총 페이지: ${Object.keys(pages).length}개`);
-        log.verbose(`  이미지 캐시: ${Object.keys(imageCache).length}개`);
-        log.verbose(`  오디오 캐시: ${Object.keys(audioCache).length}개`);
+        if (args.watch) {
+            log.info('');
+            log.info(`변경 감시 중: ${contentFolder} (종료: Ctrl+C)`);
+            await watchAndSync({ browser, page, contentPath, labyMeta });
+        }
 
     } catch (error) {
         log.error('');